@@ -0,0 +1,97 @@
+const fs = require('fs');
+const path = require('path');
+
+// Test environments live in config/environments.json (override with
+// TEST_ENVIRONMENTS). Each one has a base URL, the hosts that count as
+// internal, the expected canonical host, whether search engines may index it
+// and the test categories that may run there. Categories are Playwright tags:
+// a category set to false is skipped, e.g. `@form-submission` tests never run
+// against prod.
+//
+// TEST_ENV picks the environment. BASE_URL still overrides its base URL;
+// with BASE_URL alone, the environment whose base URL has the same host is used.
+//
+// Plain CommonJS so that run-tests.sh and npm scripts can read it:
+//   node config/environments.js baseURL
+
+const ENVIRONMENTS_FILE = process.env.TEST_ENVIRONMENTS || path.join(__dirname, 'environments.json');
+
+function loadEnvironments(file = ENVIRONMENTS_FILE) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).host;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Returns the selected environment as `{ name, baseURL, internalHosts,
+ * canonicalHost, indexable, categories }`. Throws for an unknown TEST_ENV.
+ */
+function resolveEnvironment(env = process.env, config = loadEnvironments()) {
+  const names = Object.keys(config.environments);
+  let name = env.TEST_ENV;
+
+  if (!name && env.BASE_URL) {
+    name = names.find((candidate) => hostOf(config.environments[candidate].baseURL) === hostOf(env.BASE_URL));
+  }
+  name = name || config.default;
+
+  const environment = config.environments[name];
+  if (!environment) {
+    throw new Error(`Unknown TEST_ENV "${name}". Known environments: ${names.join(', ')}`);
+  }
+
+  const baseURL = env.BASE_URL || environment.baseURL;
+  const internalHosts = [...new Set([new URL(baseURL).hostname, ...(environment.internalHosts || [])])];
+
+  return {
+    name,
+    baseURL,
+    internalHosts,
+    canonicalHost: environment.canonicalHost || new URL(baseURL).host,
+    indexable: environment.indexable === true,
+    categories: environment.categories || {}
+  };
+}
+
+/**
+ * True when the URL's hostname is one of the environment's internal hosts.
+ */
+function isInternalHost(url, environment) {
+  try {
+    return environment.internalHosts.includes(new URL(url).hostname);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Categories switched off for the environment, as the tags to exclude.
+ */
+function disabledTags(environment) {
+  return Object.entries(environment.categories)
+    .filter(([, allowed]) => allowed === false)
+    .map(([category]) => `@${category}`);
+}
+
+/**
+ * A `grepInvert` pattern that skips the disabled categories, or undefined.
+ */
+function categoryGrepInvert(environment) {
+  const tags = disabledTags(environment);
+  if (tags.length === 0) return undefined;
+  return new RegExp(tags.map((tag) => `${tag.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`).join('|'));
+}
+
+if (require.main === module) {
+  const environment = resolveEnvironment();
+  const key = process.argv[2];
+  console.log(key ? environment[key] : JSON.stringify(environment, null, 2));
+}
+
+module.exports = { loadEnvironments, resolveEnvironment, isInternalHost, disabledTags, categoryGrepInvert };
@@ -0,0 +1,6 @@
+(function () {
+  // Deliberately broken: one console error and one uncaught exception
+  console.error('Dashboard widget failed to initialise');
+  var widget = null;
+  widget.render();
+})();
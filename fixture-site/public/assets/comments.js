@@ -0,0 +1,19 @@
+(function () {
+  // Deliberately unsafe: echoes the comment back into the page with innerHTML
+  var form = document.querySelector('.comment-form');
+  var status = form.querySelector('.form-status');
+
+  form.addEventListener('submit', function (event) {
+    event.preventDefault();
+    var data = new FormData(form);
+
+    fetch(form.action, { method: 'POST', body: new URLSearchParams(data) })
+      .then(function (response) {
+        return response.json();
+      })
+      .then(function (result) {
+        status.className = 'form-status is-success';
+        status.innerHTML = 'Thanks ' + result.received.name + ', your comment was posted: ' + result.received.comment;
+      });
+  });
+})();
@@ -0,0 +1,13 @@
+(function () {
+  // A popup without any keyboard support: focus stays behind it, Tab walks
+  // out of it and Escape does nothing
+  var opener = document.querySelector('.kbd-open');
+  var popup = document.getElementById('offer-popup');
+
+  opener.addEventListener('click', function () {
+    popup.hidden = false;
+  });
+  popup.querySelector('.kbd-dismiss').addEventListener('click', function () {
+    popup.hidden = true;
+  });
+})();
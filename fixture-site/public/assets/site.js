@@ -0,0 +1,88 @@
+(function () {
+  // Mobile menu toggle
+  var toggle = document.querySelector('.menu-toggle');
+  var nav = document.getElementById('site-nav');
+
+  if (toggle && nav) {
+    var setOpen = function (open) {
+      toggle.setAttribute('aria-expanded', String(open));
+      toggle.setAttribute('aria-label', open ? 'Close menu' : 'Open menu');
+      nav.classList.toggle('is-open', open);
+    };
+
+    toggle.addEventListener('click', function () {
+      setOpen(toggle.getAttribute('aria-expanded') !== 'true');
+    });
+
+    // Escape closes the open menu and puts focus back on its toggle
+    document.addEventListener('keydown', function (event) {
+      if (event.key !== 'Escape' || toggle.getAttribute('aria-expanded') !== 'true') return;
+      setOpen(false);
+      toggle.focus();
+    });
+  }
+
+  // Modal dialogs open from the button that controls them and hand focus back when closed
+  var openers = document.querySelectorAll('[aria-haspopup="dialog"][aria-controls]');
+
+  Array.prototype.forEach.call(openers, function (opener) {
+    var dialog = document.getElementById(opener.getAttribute('aria-controls'));
+    if (!dialog || typeof dialog.showModal !== 'function') return;
+
+    opener.addEventListener('click', function () {
+      dialog.showModal();
+    });
+    dialog.addEventListener('close', function () {
+      opener.focus();
+    });
+    Array.prototype.forEach.call(dialog.querySelectorAll('.dialog-close'), function (button) {
+      button.addEventListener('click', function () {
+        dialog.close();
+      });
+    });
+  });
+
+  // Forms post JSON to their action and report the outcome in their status region
+  var forms = document.querySelectorAll('form[data-async]');
+
+  Array.prototype.forEach.call(forms, function (form) {
+    var status = form.querySelector('.form-status');
+    var submit = form.querySelector('[type="submit"]');
+
+    form.addEventListener('submit', function (event) {
+      event.preventDefault();
+
+      var payload = {};
+      new FormData(form).forEach(function (value, key) {
+        payload[key] = value;
+      });
+
+      submit.disabled = true;
+      status.className = 'form-status';
+      status.textContent = 'Sending…';
+
+      fetch(form.action, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+      })
+        .then(function (response) {
+          return response.json().catch(function () {
+            return {};
+          }).then(function (data) {
+            var message = data.message || (response.ok ? 'Sent.' : 'Sorry, something went wrong. Please try again.');
+            status.className = 'form-status ' + (response.ok ? 'is-success' : 'is-error');
+            status.textContent = message;
+            if (response.ok) form.reset();
+          });
+        })
+        .catch(function () {
+          status.className = 'form-status is-error';
+          status.textContent = 'Network error. Please check your connection and try again.';
+        })
+        .then(function () {
+          submit.disabled = false;
+        });
+    });
+  });
+})();
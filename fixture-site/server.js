@@ -0,0 +1,200 @@
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+// Local fixture copy of the Qualtiva site, used to run the suite offline.
+// Start it with `npm run fixture-site` or let playwright.config.js start it
+// through `webServer` when BASE_URL points at http://localhost:<FIXTURE_PORT>/.
+
+const FIXTURE_PORT = Number(process.env.FIXTURE_PORT) || 4173;
+const fixtureURL = `http://localhost:${FIXTURE_PORT}/`;
+const PUBLIC_DIR = path.join(__dirname, 'public');
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'application/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.map': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon',
+  '.txt': 'text/plain; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8'
+};
+
+// Headers sent with every response except the pages listed in PAGE_HEADERS
+const SECURITY_HEADERS = {
+  'Strict-Transport-Security': 'max-age=31536000; includeSubDomains',
+  'X-Content-Type-Options': 'nosniff',
+  'X-Frame-Options': 'DENY',
+  'Referrer-Policy': 'strict-origin-when-cross-origin',
+  'Permissions-Policy': 'camera=(), microphone=(), geolocation=()',
+  'Content-Security-Policy': [
+    "default-src 'self'",
+    "script-src 'self'",
+    "style-src 'self'",
+    "img-src 'self' data:",
+    "connect-src 'self'",
+    "form-action 'self'",
+    "frame-ancestors 'none'",
+    "base-uri 'self'",
+    "object-src 'none'"
+  ].join('; ')
+};
+
+// Known-bad pages served with missing or weakened security headers
+const PAGE_HEADERS = {
+  '/bad/no-headers/': {},
+  '/bad/weak-csp/': {
+    ...SECURITY_HEADERS,
+    'Content-Security-Policy': "default-src *; script-src * 'unsafe-inline' 'unsafe-eval'; style-src 'self' 'unsafe-inline'"
+  },
+  // Inline handlers allowed, so reflected payloads can run
+  '/bad/reflected-xss/': {
+    ...SECURITY_HEADERS,
+    'Content-Security-Policy': "default-src 'self'; script-src 'self' 'unsafe-inline'; img-src *; object-src 'none'; base-uri 'self'; frame-ancestors 'none'; form-action 'self'"
+  }
+};
+
+// Redirects used by the known-bad pages: old-logo.svg takes two hops
+const REDIRECTS = {
+  '/assets/old-logo.svg': '/assets/legacy-logo.svg',
+  '/assets/legacy-logo.svg': '/assets/logo.svg'
+};
+
+// Form endpoints used by the fixture pages
+const API_ROUTES = {
+  'POST /api/contact': (body) => ({ status: 200, json: { ok: true, message: 'Thanks, we will be in touch shortly.', received: body } }),
+  'POST /api/newsletter': () => ({ status: 200, json: { ok: true, message: 'You are subscribed.' } }),
+  'POST /api/comment': (body) => ({ status: 200, json: { ok: true, received: body } }),
+  'POST /api/fail': () => ({ status: 500, json: { ok: false, message: 'Something went wrong on our side.' } })
+};
+
+/**
+ * Returns true when the given URL points at the local fixture site.
+ */
+function isFixtureURL(url) {
+  if (!url) return false;
+  try {
+    const { hostname, port } = new URL(url);
+    return ['localhost', '127.0.0.1'].includes(hostname) && Number(port) === FIXTURE_PORT;
+  } catch (error) {
+    return false;
+  }
+}
+
+function send(res, status, headers, body) {
+  res.writeHead(status, headers);
+  res.end(body);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function parseBody(raw, contentType = '') {
+  if (!raw) return {};
+  if (contentType.includes('application/json')) {
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      return { raw };
+    }
+  }
+  return Object.fromEntries(new URLSearchParams(raw));
+}
+
+function resolveFile(pathname) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch (error) {
+    // Malformed percent-encoding such as /%E0%A4%A is a bad request, not a server error
+    return null;
+  }
+  const filePath = path.normalize(path.join(PUBLIC_DIR, decoded));
+  // The separator keeps sibling folders such as public-private/ out
+  if (filePath !== PUBLIC_DIR && !filePath.startsWith(PUBLIC_DIR + path.sep)) return null;
+  return filePath;
+}
+
+async function handleRequest(req, res) {
+  const { pathname } = new URL(req.url, fixtureURL);
+  const headers = { ...(PAGE_HEADERS[pathname] || SECURITY_HEADERS) };
+
+  const api = API_ROUTES[`${req.method} ${pathname}`];
+  if (api) {
+    const raw = await readBody(req);
+    const { status, json } = api(parseBody(raw, req.headers['content-type']));
+    return send(res, status, { ...headers, 'Content-Type': CONTENT_TYPES['.json'] }, JSON.stringify(json));
+  }
+
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    return send(res, 405, { ...headers, Allow: 'GET, HEAD' }, 'Method Not Allowed');
+  }
+
+  if (REDIRECTS[pathname]) {
+    return send(res, 301, { ...headers, Location: REDIRECTS[pathname] }, '');
+  }
+
+  const filePath = resolveFile(pathname);
+  if (!filePath) {
+    return send(res, 400, headers, 'Bad Request');
+  }
+
+  let stat = fs.existsSync(filePath) ? fs.statSync(filePath) : null;
+
+  // Directories are served through their index.html, with a trailing-slash redirect
+  if (stat && stat.isDirectory()) {
+    if (!pathname.endsWith('/')) {
+      return send(res, 301, { ...headers, Location: `${pathname}/` }, '');
+    }
+    const indexPath = path.join(filePath, 'index.html');
+    stat = fs.existsSync(indexPath) ? fs.statSync(indexPath) : null;
+    if (stat) {
+      return sendFile(req, res, indexPath, headers);
+    }
+  }
+
+  if (!stat) {
+    const notFound = path.join(PUBLIC_DIR, '404.html');
+    return send(res, 404, { ...headers, 'Content-Type': CONTENT_TYPES['.html'] }, fs.readFileSync(notFound));
+  }
+
+  return sendFile(req, res, filePath, headers);
+}
+
+function sendFile(req, res, filePath, headers) {
+  const ext = path.extname(filePath);
+  const body = fs.readFileSync(filePath);
+  const cacheControl = ext === '.html' ? 'no-cache' : 'public, max-age=3600';
+  send(res, 200, {
+    ...headers,
+    'Content-Type': CONTENT_TYPES[ext] || 'application/octet-stream',
+    'Content-Length': body.length,
+    'Cache-Control': cacheControl
+  }, req.method === 'HEAD' ? undefined : body);
+}
+
+function createFixtureServer() {
+  return http.createServer((req, res) => {
+    handleRequest(req, res).catch((error) => {
+      console.error('❌ Fixture site error:', error.message);
+      send(res, 500, {}, 'Internal Server Error');
+    });
+  });
+}
+
+if (require.main === module) {
+  createFixtureServer().listen(FIXTURE_PORT, () => {
+    console.log(`🧪 Fixture site running at ${fixtureURL}`);
+  });
+}
+
+module.exports = { FIXTURE_PORT, fixtureURL, isFixtureURL, createFixtureServer };
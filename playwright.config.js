@@ -1,10 +1,47 @@
 import { defineConfig, devices } from '@playwright/test';
+import { fixtureURL, isFixtureURL } from './fixture-site/server';
+import { resolveEnvironment, categoryGrepInvert } from './config/environments';
 
-// Get base URL from environment variable, default to dev
-const baseURL = process.env.BASE_URL || 'https://www-dev.analytiqa.cloud/';
+// Environment from TEST_ENV (config/environments.json), default dev; BASE_URL overrides its URL
+const environment = resolveEnvironment();
+const baseURL = environment.baseURL;
+
+// Specs that audit every page of the site, and the user-preference checks of
+// the site's own styles. They do not compare browsers, so they run once, in the
+// site-audit project, instead of in every browser project.
+const siteAuditSpecs = [
+  'crawler.spec.js',
+  'crawlability.spec.js',
+  'form-fuzz.spec.js',
+  'keyboard.spec.js',
+  'network-audit.spec.js',
+  'seo-audit.spec.js',
+  'social-preview.spec.js',
+  'structured-data.spec.js',
+  'user-preferences.spec.js',
+];
+
+// Checks of the reporters in reporters/. They need no browser or site, so they
+// run once, in the reporters project.
+const reporterSpecs = [
+  'aqa-reporter.spec.js',
+  'summary-reporter.spec.js',
+];
+
+const singleRunSpecs = [...siteAuditSpecs, ...reporterSpecs];
+
+// Start the bundled fixture site when BASE_URL points at it (offline runs)
+const webServer = isFixtureURL(baseURL) ? {
+  command: 'node fixture-site/server.js',
+  url: fixtureURL,
+  reuseExistingServer: !process.env.CI,
+  timeout: 10000,
+} : undefined;
 
 export default defineConfig({
   testDir: './tests',
+  // Skip test categories the environment does not allow (e.g. @form-submission on prod)
+  grepInvert: categoryGrepInvert(environment),
   fullyParallel: true,
   forbidOnly: !!process.env.CI,
   retries: process.env.CI ? 2 : 0,
@@ -12,7 +49,18 @@ export default defineConfig({
   reporter: [
     ['html'],
     ['json', { outputFile: 'test-results/results.json' }],
-    ['junit', { outputFile: 'test-results/results.xml' }]
+    ['junit', { outputFile: 'test-results/results.xml' }],
+    // Per-project and per-category counts, slowest tests and failures (test-results/summary.json)
+    ['./reporters/summary-reporter.js', { outputFile: 'test-results/summary.json' }],
+    // Posts results.xml to AQA when AQA_ENDPOINT is set (see reporters/aqa-reporter.js)
+    ['./reporters/aqa-reporter.js', {
+      resultsFile: 'test-results/results.xml',
+      team: 'web-developers',
+      project: 'qualtiva-website-tests',
+      application: 'qualtiva-website',
+      product: 'qualtiva',
+      environment: environment.name,
+    }]
   ],
   use: {
     baseURL: baseURL,
@@ -32,6 +80,7 @@ export default defineConfig({
     // Desktop browsers
     {
       name: 'chromium',
+      testIgnore: singleRunSpecs,
       use: { 
         ...devices['Desktop Chrome'],
         // Add specific Chrome flags for testing
@@ -46,6 +95,7 @@ export default defineConfig({
     },
     {
       name: 'firefox',
+      testIgnore: singleRunSpecs,
       use: { 
         ...devices['Desktop Firefox'],
         // Add Firefox-specific settings
@@ -56,6 +106,7 @@ export default defineConfig({
     },
     {
       name: 'webkit',
+      testIgnore: singleRunSpecs,
       use: { 
         ...devices['Desktop Safari'],
         // Add Safari-specific settings
@@ -67,8 +118,11 @@ export default defineConfig({
     // Mobile browsers
     {
       name: 'Mobile Chrome',
+      testIgnore: singleRunSpecs,
       use: { 
         ...devices['Pixel 5'],
+        // Mid-range phone on a 4G connection
+        throttling: ['4G', 'CPU 4x'],
         // Add mobile-specific settings
         launchOptions: {
           args: ['--disable-web-security', '--disable-dev-shm-usage']
@@ -77,6 +131,7 @@ export default defineConfig({
     },
     {
       name: 'Mobile Safari',
+      testIgnore: singleRunSpecs,
       use: { 
         ...devices['iPhone 12'],
         // Add iOS-specific settings
@@ -88,6 +143,7 @@ export default defineConfig({
     // Tablet browsers
     {
       name: 'iPad',
+      testIgnore: singleRunSpecs,
       use: { 
         ...devices['iPad Pro 11 landscape'],
         // Add tablet-specific settings
@@ -99,6 +155,7 @@ export default defineConfig({
     // Additional browser profiles for comprehensive testing
     {
       name: 'Edge',
+      testIgnore: singleRunSpecs,
       use: { 
         ...devices['Desktop Chrome'],
         channel: 'msedge',
@@ -111,6 +168,7 @@ export default defineConfig({
     // Low-end device simulation
     {
       name: 'Low-end Device',
+      testIgnore: singleRunSpecs,
       use: { 
         ...devices['Desktop Chrome'],
         // Simulate slower device
@@ -122,23 +180,47 @@ export default defineConfig({
             '--disable-dev-shm-usage'
           ]
         },
-        // Slower network conditions
-        contextOptions: {
-          extraHTTPHeaders: {
-            'X-Playwright-Slow-Mo': '1000'
-          }
-        }
+        // Slower network and CPU through CDP (see tests/utils/throttling.js)
+        throttling: ['Fast 3G', 'CPU 6x']
       },
     },
+    // Site audits (siteAuditSpecs): one Chromium worker, so the crawl is shared
+    // and the network audit can read HTTP versions over the DevTools protocol
+    {
+      name: 'site-audit',
+      testMatch: siteAuditSpecs,
+      workers: 1,
+      timeout: 10 * 60 * 1000,
+      use: { ...devices['Desktop Chrome'] },
+    },
+    {
+      name: 'reporters',
+      testMatch: reporterSpecs,
+    },
   ],
   // Global timeout settings
   timeout: 30000,
   expect: {
     timeout: 10000,
+    // Visual regression baselines (tests/visual.spec.js), one set per project
+    toHaveScreenshot: {
+      pathTemplate: '{testDir}/__screenshots__/{projectName}/{testFilePath}/{arg}{ext}',
+      // Share of pixels allowed to differ, and per-pixel colour tolerance (0-1)
+      maxDiffPixelRatio: Number(process.env.VISUAL_MAX_DIFF_PIXEL_RATIO || 0.01),
+      threshold: Number(process.env.VISUAL_THRESHOLD || 0.2),
+      animations: 'disabled',
+      caret: 'hide',
+    },
+    // Accessibility-tree baselines (tests/aria-snapshot.spec.js), chromium only
+    toMatchAriaSnapshot: {
+      pathTemplate: '{testDir}/__aria-snapshots__/{testFilePath}/{arg}{ext}',
+    },
   },
   // Output directory for test artifacts
   outputDir: 'test-results/',
   // Global setup and teardown
   globalSetup: require.resolve('./global-setup.js'),
   globalTeardown: require.resolve('./global-teardown.js'),
+  // Local fixture site, only used when BASE_URL points at it
+  webServer,
 });
\ No newline at end of file
@@ -0,0 +1,164 @@
+// Client for the AQA ingestion endpoint. Posts a JUnit (or NUnit/Pester) XML
+// payload with the aqa-* metadata headers and basic auth, retrying transient
+// failures with exponential backoff. Used by reporters/aqa-reporter.js.
+
+const DEFAULT_OPTIONS = {
+  resultsFile: 'test-results/results.xml',
+  resultFormat: 'junit',
+  engine: 'playwright',
+  tags: '',
+  team: '',
+  project: '',
+  application: '',
+  product: '',
+  environment: '',
+  dryRun: false,
+  failOnError: true,
+  retries: 3,
+  retryDelay: 1000,
+  timeout: 30000
+};
+
+// Environment variables override the options given in playwright.config.js
+const ENV_OPTIONS = {
+  endpoint: 'AQA_ENDPOINT',
+  user: 'AQA_USER',
+  password: 'AQA_PASSWORD',
+  resultsFile: 'AQA_RESULTS_FILE',
+  resultFormat: 'AQA_RESULT_FORMAT',
+  engine: 'AQA_ENGINE',
+  tags: 'AQA_TAGS',
+  team: 'AQA_TEAM',
+  project: 'AQA_PROJECT',
+  application: 'AQA_APPLICATION',
+  product: 'AQA_PRODUCT',
+  environment: 'AQA_ENVIRONMENT',
+  dryRun: 'AQA_DRY_RUN',
+  failOnError: 'AQA_FAIL_ON_ERROR',
+  retries: 'AQA_RETRIES',
+  retryDelay: 'AQA_RETRY_DELAY_MS',
+  timeout: 'AQA_TIMEOUT_MS'
+};
+
+// Statuses worth retrying: timeouts, rate limiting and server errors
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+function parseEnvValue(key, value) {
+  if (typeof DEFAULT_OPTIONS[key] === 'boolean') return ['1', 'true', 'yes'].includes(value.toLowerCase());
+  if (typeof DEFAULT_OPTIONS[key] === 'number') return Number(value);
+  return value;
+}
+
+/**
+ * Merges the defaults, the reporter options and the AQA_* environment variables.
+ */
+function resolveAqaOptions(options = {}, env = process.env) {
+  const fromEnv = {};
+  for (const [key, name] of Object.entries(ENV_OPTIONS)) {
+    if (env[name] !== undefined && env[name] !== '') {
+      fromEnv[key] = parseEnvValue(key, env[name]);
+    }
+  }
+  return { ...DEFAULT_OPTIONS, ...options, ...fromEnv };
+}
+
+/**
+ * Returns the names of required settings that are missing. A dry run needs none.
+ */
+function missingSettings(options) {
+  if (options.dryRun) return [];
+  return [['endpoint', 'AQA_ENDPOINT'], ['user', 'AQA_USER'], ['password', 'AQA_PASSWORD']]
+    .filter(([key]) => !options[key])
+    .map(([, name]) => name);
+}
+
+/**
+ * The request headers the ingestion endpoint expects. The Authorization
+ * header is only added when credentials are set.
+ */
+function buildHeaders(options) {
+  const tags = Array.isArray(options.tags) ? options.tags.join(',') : options.tags;
+  const headers = {
+    'Content-Type': 'application/xml',
+    'Test-Engine-Result-Format': options.resultFormat,
+    'Test-Engine': options.engine,
+    'Tags': tags,
+    'aqa-team': options.team,
+    'aqa-project': options.project,
+    'aqa-application': options.application,
+    'aqa-product': options.product,
+    'aqa-environment': options.environment
+  };
+  if (options.user && options.password) {
+    headers.Authorization = `Basic ${Buffer.from(`${options.user}:${options.password}`).toString('base64')}`;
+  }
+  return headers;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function retryAfterMs(response) {
+  const value = response.headers.get('retry-after');
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Posts `payload` to the endpoint. Network errors and retryable statuses are
+ * retried up to `options.retries` times, waiting `retryDelay`, then twice as
+ * long each time (or as long as Retry-After asks).
+ *
+ * Resolves to `{ ok, status, attempts, body?, error?, dryRun? }`; never throws.
+ */
+async function postResults(payload, options, log = console.log) {
+  const headers = buildHeaders(options);
+
+  if (options.dryRun) {
+    const { Authorization, ...visible } = headers;
+    log(`🧪 AQA dry run: would POST ${Buffer.byteLength(payload)} bytes to ${options.endpoint || '(AQA_ENDPOINT not set)'}`);
+    log(`   Headers: ${JSON.stringify(visible)}${Authorization ? ' + basic auth' : ''}`);
+    return { ok: true, status: null, attempts: 0, dryRun: true };
+  }
+
+  const missing = missingSettings(options);
+  if (missing.length > 0) {
+    return { ok: false, status: null, attempts: 0, error: `Missing required environment variables: ${missing.join(', ')}` };
+  }
+
+  let result;
+  for (let attempt = 1; attempt <= options.retries + 1; attempt++) {
+    let wait = options.retryDelay * 2 ** (attempt - 1);
+    try {
+      const response = await fetch(options.endpoint, {
+        method: 'POST',
+        headers,
+        body: payload,
+        signal: AbortSignal.timeout(options.timeout)
+      });
+      const body = await response.text();
+      if (response.ok) {
+        return { ok: true, status: response.status, attempts: attempt, body };
+      }
+
+      result = { ok: false, status: response.status, attempts: attempt, body, error: `HTTP ${response.status}` };
+      if (!RETRYABLE_STATUSES.includes(response.status)) return result;
+      wait = retryAfterMs(response) ?? wait;
+    } catch (error) {
+      result = { ok: false, status: null, attempts: attempt, error: error.message };
+    }
+
+    if (attempt <= options.retries) {
+      log(`⚠️  AQA upload attempt ${attempt} failed (${result.error}), retrying in ${wait}ms`);
+      await sleep(wait);
+    }
+  }
+  return result;
+}
+
+module.exports = { DEFAULT_OPTIONS, RETRYABLE_STATUSES, resolveAqaOptions, missingSettings, buildHeaders, postResults };
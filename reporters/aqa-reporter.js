@@ -0,0 +1,54 @@
+const fs = require('fs');
+const path = require('path');
+const { resolveAqaOptions, postResults } = require('./aqa-client');
+
+// Playwright reporter that sends the JUnit results file to AQA once the run
+// finishes. List it after the junit reporter in playwright.config.js so the
+// file is written first. Does nothing unless AQA_ENDPOINT is set or
+// AQA_DRY_RUN is on, so local runs are not affected.
+//
+// A failed upload fails the run (exit status 1) unless failOnError is false.
+
+class AqaReporter {
+  constructor(options = {}, env = process.env) {
+    this.options = resolveAqaOptions(options, env);
+    this.rootDir = process.cwd();
+  }
+
+  onBegin(config) {
+    if (config.configFile) this.rootDir = path.dirname(config.configFile);
+  }
+
+  printsToStdio() {
+    return false;
+  }
+
+  async onEnd() {
+    const options = this.options;
+    if (!options.endpoint && !options.dryRun) return;
+
+    const resultsFile = path.resolve(this.rootDir, options.resultsFile);
+    if (!fs.existsSync(resultsFile)) {
+      return this.fail(`Results file not found: ${resultsFile}`);
+    }
+
+    console.log(`📤 Posting ${path.relative(this.rootDir, resultsFile)} to AQA${options.tags ? ` (tags: ${options.tags})` : ''}`);
+    const outcome = await postResults(fs.readFileSync(resultsFile, 'utf8'), options);
+
+    if (!outcome.ok) {
+      const hint = outcome.status === 401 || outcome.status === 403 ? ' - check AQA_USER and AQA_PASSWORD'
+        : outcome.status === 404 ? ` - check AQA_ENDPOINT (${options.endpoint})` : '';
+      return this.fail(`AQA upload failed after ${outcome.attempts} attempt(s): ${outcome.error}${hint}`);
+    }
+    if (!outcome.dryRun) {
+      console.log(`✅ Posted results to AQA (HTTP ${outcome.status}, attempt ${outcome.attempts})`);
+    }
+  }
+
+  fail(message) {
+    console.error(`❌ ${message}`);
+    return this.options.failOnError ? { status: 'failed' } : undefined;
+  }
+}
+
+module.exports = AqaReporter;
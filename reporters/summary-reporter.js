@@ -0,0 +1,51 @@
+const fs = require('fs');
+const path = require('path');
+const { toRecord, buildSummary, formatSummary } = require('./summary');
+const { resolveEnvironment } = require('../config/environments');
+
+// Playwright reporter that writes test-results/summary.json from the results
+// of the run and prints a short table for CI logs. Global teardown runs
+// before reporters finish, so the summary has to be built here rather than
+// in global-teardown.js.
+
+class SummaryReporter {
+  constructor({ outputFile = 'test-results/summary.json' } = {}) {
+    this.outputFile = outputFile;
+    this.rootDir = process.cwd();
+  }
+
+  onBegin(config, suite) {
+    if (config.configFile) this.rootDir = path.dirname(config.configFile);
+    this.config = config;
+    this.suite = suite;
+  }
+
+  printsToStdio() {
+    return false;
+  }
+
+  onEnd(result) {
+    // Nothing ran (e.g. `--list`)
+    const tests = this.suite.allTests();
+    if (!tests.some((test) => test.results.length > 0)) return;
+
+    const project = this.config.projects[0];
+    const records = tests.map((test) => toRecord(test, this.rootDir));
+    const summary = buildSummary(records, {
+      baseURL: project ? project.use.baseURL : undefined,
+      environment: resolveEnvironment().name,
+      status: result.status,
+      startTime: result.startTime,
+      duration: result.duration
+    });
+
+    const outputFile = path.resolve(this.rootDir, this.outputFile);
+    fs.mkdirSync(path.dirname(outputFile), { recursive: true });
+    fs.writeFileSync(outputFile, JSON.stringify(summary, null, 2));
+
+    console.log(`\n${formatSummary(summary)}\n`);
+    console.log(`📊 Test summary saved to ${path.relative(this.rootDir, outputFile)}`);
+  }
+}
+
+module.exports = SummaryReporter;
@@ -0,0 +1,144 @@
+const path = require('path');
+
+// Builds the run summary written by reporters/summary-reporter.js: counts per
+// project and per spec category, the slowest tests and the failures.
+
+const SLOWEST_COUNT = 10;
+
+const OUTCOMES = {
+  expected: 'passed',
+  unexpected: 'failed',
+  flaky: 'flaky',
+  skipped: 'skipped'
+};
+
+function emptyCounts() {
+  return { total: 0, passed: 0, failed: 0, flaky: 0, skipped: 0, duration: 0 };
+}
+
+/**
+ * "web-build-best-practices.spec.js" -> "Web Build Best Practices"
+ */
+function categoryName(file) {
+  return path.basename(file)
+    .replace(/\.spec\.[cm]?[jt]s$/, '')
+    .split(/[-_.]/)
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+function stripAnsi(text) {
+  return text.replace(/\u001b\[[0-9;]*m/g, '');
+}
+
+function formatDuration(ms) {
+  if (ms < 1000) return `${Math.round(ms)}ms`;
+  const seconds = ms / 1000;
+  if (seconds < 60) return `${seconds.toFixed(1)}s`;
+  return `${Math.floor(seconds / 60)}m ${Math.round(seconds % 60)}s`;
+}
+
+/**
+ * Flattens a Playwright TestCase into the plain record the summary is built
+ * from. Paths are made relative to `rootDir`.
+ */
+function toRecord(test, rootDir) {
+  const last = test.results[test.results.length - 1];
+  // With trace: 'on-first-retry' only the first retry records one, so search
+  // every attempt, newest first
+  const trace = test.results
+    .flatMap((result) => result.attachments)
+    .reverse()
+    .find((attachment) => attachment.name === 'trace' && attachment.path);
+  const error = last && (last.error || (last.errors || [])[0]);
+  const relative = (file) => path.relative(rootDir, file).split(path.sep).join('/');
+
+  return {
+    title: test.titlePath().filter(Boolean).slice(2).join(' › '),
+    project: test.parent.project() ? test.parent.project().name : '',
+    file: relative(test.location.file),
+    line: test.location.line,
+    outcome: OUTCOMES[test.outcome()] || test.outcome(),
+    duration: test.results.reduce((total, result) => total + result.duration, 0),
+    retries: Math.max(0, test.results.length - 1),
+    error: error ? stripAnsi(error.message || error.value || '').split('\n')[0] : null,
+    trace: trace ? relative(trace.path) : null
+  };
+}
+
+/**
+ * Builds the summary: counts per project and per spec category, the slowest
+ * tests and every failure with its trace.
+ */
+function buildSummary(records, { baseURL, environment, status, startTime, duration }) {
+  const totals = emptyCounts();
+  const projects = {};
+  const categories = {};
+
+  for (const record of records) {
+    const category = categoryName(record.file);
+    projects[record.project] = projects[record.project] || emptyCounts();
+    categories[category] = categories[category] || emptyCounts();
+    for (const counts of [totals, projects[record.project], categories[category]]) {
+      counts.total += 1;
+      counts[record.outcome] += 1;
+      counts.duration += record.duration;
+    }
+  }
+
+  const describe = ({ title, project, file, line, duration, retries }) => ({ title, project, location: `${file}:${line}`, duration, retries });
+
+  return {
+    testRun: startTime ? startTime.toISOString() : new Date().toISOString(),
+    project: 'Qualtiva Solutions Website Tests',
+    baseURL,
+    environment,
+    status,
+    duration,
+    totals,
+    projects,
+    categories,
+    slowest: records
+      .filter((record) => record.outcome !== 'skipped')
+      .sort((a, b) => b.duration - a.duration)
+      .slice(0, SLOWEST_COUNT)
+      .map(describe),
+    failures: records
+      .filter((record) => record.outcome === 'failed')
+      .map((record) => ({ ...describe(record), error: record.error, trace: record.trace })),
+    flaky: records.filter((record) => record.outcome === 'flaky').map(describe)
+  };
+}
+
+function table(headers, rows) {
+  const widths = headers.map((header, index) => Math.max(header.length, ...rows.map((row) => String(row[index]).length)));
+  const line = (cells) => cells.map((cell, index) => (index === 0 ? String(cell).padEnd(widths[index]) : String(cell).padStart(widths[index]))).join('  ');
+  return [line(headers), widths.map((width) => '-'.repeat(width)).join('  '), ...rows.map(line)].join('\n');
+}
+
+/**
+ * The console version of the summary: one row per project, then the failures.
+ */
+function formatSummary(summary) {
+  const row = (name, counts) => [name, counts.passed, counts.failed, counts.flaky, counts.skipped, formatDuration(counts.duration)];
+  const lines = [
+    `📊 ${summary.status.toUpperCase()} in ${formatDuration(summary.duration)} against ${summary.baseURL} (${summary.environment})`,
+    '',
+    table(
+      ['Project', 'Passed', 'Failed', 'Flaky', 'Skipped', 'Time'],
+      [...Object.entries(summary.projects).map(([name, counts]) => row(name, counts)), row('Total', summary.totals)]
+    )
+  ];
+
+  if (summary.failures.length > 0) {
+    lines.push('', `❌ Failures (${summary.failures.length}):`);
+    for (const failure of summary.failures) {
+      lines.push(`  [${failure.project}] ${failure.title} (${failure.location})`);
+      if (failure.error) lines.push(`    ${failure.error}`);
+      if (failure.trace) lines.push(`    npx playwright show-trace ${failure.trace}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+module.exports = { categoryName, formatDuration, toRecord, buildSummary, formatSummary };
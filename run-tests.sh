@@ -71,11 +71,7 @@ run_tests() {
     local description=$2
     
     print_status "Running $description..."
-    if [ -n "$BASE_URL" ]; then
-        print_status "Using BASE_URL: $BASE_URL"
-    else
-        print_status "Using default BASE_URL: https://www-dev.analytiqa.cloud/"
-    fi
+    print_status "Using environment: $(node config/environments.js name) ($(node config/environments.js baseURL))"
     local junit_dir="./junit-results"
     mkdir -p "$junit_dir"
     export PLAYWRIGHT_JUNIT_OUTPUT_DIR="$junit_dir"
@@ -106,18 +102,20 @@ show_help() {
     echo "  cross-browser    Run cross-browser compatibility tests only"
     echo "  mobile-responsive Run mobile responsiveness tests only"
     echo "  ci               Run tests with CI reporters (html, junit, json)"
+    echo "  offline          Run all tests against the bundled fixture site"
     echo "  codegen          Run Playwright codegen against site"
     echo "  setup            Install dependencies and browsers"
     echo "  report           Show test report"
     echo "  help             Show this help message"
     echo ""
     echo "Environment Variables:"
-    echo "  BASE_URL         Base URL for tests (default: https://www-dev.analytiqa.cloud/)"
+    echo "  TEST_ENV         Environment from config/environments.json: local, dev, staging, prod (default: dev)"
+    echo "  BASE_URL         Override the environment's base URL"
     echo ""
     echo "Examples:"
     echo "  $0 setup         # Install dependencies and browsers"
     echo "  $0 all           # Run all tests against dev site"
-    echo "  BASE_URL=https://www.qualtiva.solutions $0 all  # Run tests against prod"
+    echo "  TEST_ENV=prod $0 all  # Run tests against prod (no form submissions)"
     echo "  $0 all           # Run all tests"
     echo "  $0 mobile        # Run mobile tests only"
     echo "  $0 ci            # Run tests with CI reporters"
@@ -168,20 +166,20 @@ case "${1:-help}" in
     "ci")
         check_dependencies
         print_status "Running tests with CI reporters..."
-        if [ -n "$BASE_URL" ]; then
-            print_status "Using BASE_URL: $BASE_URL"
-        else
-            print_status "Using default BASE_URL: https://www-dev.analytiqa.cloud/"
-        fi
+        print_status "Using environment: $(node config/environments.js name) ($(node config/environments.js baseURL))"
         junit_dir="./junit-results"
         mkdir -p "$junit_dir"
         export PLAYWRIGHT_JUNIT_OUTPUT_DIR="$junit_dir"
         export PLAYWRIGHT_JUNIT_OUTPUT_NAME="junit-$(date +%Y%m%d-%H%M%S).xml"
         npx playwright test --reporter=html,junit,json
         ;;
+    "offline")
+        check_dependencies
+        run_tests "test:offline" "Offline tests against the fixture site"
+        ;;
     "codegen")
         check_dependencies
-        local codegen_url="${BASE_URL:-https://www-dev.analytiqa.cloud/}"
+        local codegen_url="$(node config/environments.js baseURL)"
         print_status "Launching Playwright codegen for: $codegen_url"
         npx playwright codegen "$codegen_url"
         ;;
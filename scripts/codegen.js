@@ -0,0 +1,12 @@
+const { spawn } = require('child_process');
+const { resolveEnvironment } = require('../config/environments');
+
+// Opens Playwright codegen on the selected environment's base URL (TEST_ENV,
+// BASE_URL). Extra arguments go to codegen: `npm run codegen -- --device="iPhone 12"`.
+// Resolved here rather than in the npm script so it works in any shell.
+
+const { baseURL } = resolveEnvironment();
+const cli = require.resolve('@playwright/test/cli');
+
+const child = spawn(process.execPath, [cli, 'codegen', ...process.argv.slice(2), baseURL], { stdio: 'inherit' });
+child.on('exit', (code) => process.exit(code === null ? 1 : code));
@@ -0,0 +1,70 @@
+const http = require('http');
+
+// Local stand-in for the AQA ingestion endpoint, for trying the AQA reporter
+// without a real server. Start it with `npm run mock-aqa`, then run the suite
+// with AQA_ENDPOINT=http://localhost:4180/in-http AQA_USER=aqa AQA_PASSWORD=aqa.
+//
+// MOCK_AQA_FAIL_FIRST=<n> answers the first n posts with MOCK_AQA_FAIL_STATUS
+// (default 503) to exercise the reporter's retries.
+
+const MOCK_AQA_PORT = Number(process.env.MOCK_AQA_PORT) || 4180;
+
+/**
+ * Creates the mock server. Every accepted post is kept in `server.received`
+ * as `{ headers, body }`; posts with the wrong credentials get 401.
+ */
+function createMockAqaServer({ user = 'aqa', password = 'aqa', failFirst = 0, failStatus = 503 } = {}) {
+  const expectedAuth = `Basic ${Buffer.from(`${user}:${password}`).toString('base64')}`;
+  let failuresLeft = failFirst;
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks).toString('utf8');
+      server.attempts.push({ headers: req.headers, body });
+
+      const reply = (status, json) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(json));
+      };
+
+      if (req.method !== 'POST') return reply(405, { error: 'POST only' });
+      if (req.headers.authorization !== expectedAuth) return reply(401, { error: 'Invalid credentials' });
+      if (failuresLeft > 0) {
+        failuresLeft -= 1;
+        return reply(failStatus, { error: 'Simulated failure' });
+      }
+      if (!/<testsuites?[\s>]/.test(body)) return reply(400, { error: 'Body is not a JUnit report' });
+
+      server.received.push({ headers: req.headers, body });
+      reply(200, { accepted: true, bytes: Buffer.byteLength(body) });
+    });
+  });
+
+  server.attempts = [];
+  server.received = [];
+  return server;
+}
+
+if (require.main === module) {
+  const server = createMockAqaServer({
+    user: process.env.AQA_USER || 'aqa',
+    password: process.env.AQA_PASSWORD || 'aqa',
+    failFirst: Number(process.env.MOCK_AQA_FAIL_FIRST) || 0,
+    failStatus: Number(process.env.MOCK_AQA_FAIL_STATUS) || 503
+  });
+
+  server.on('request', (req) => {
+    req.on('end', () => {
+      const aqaHeaders = Object.fromEntries(Object.entries(req.headers).filter(([name]) => /^(aqa-|tags$|test-engine)/.test(name)));
+      console.log(`📥 ${req.method} ${req.url} ${JSON.stringify(aqaHeaders)}`);
+    });
+  });
+
+  server.listen(MOCK_AQA_PORT, () => {
+    console.log(`🧪 Mock AQA server listening on http://localhost:${MOCK_AQA_PORT}/in-http`);
+  });
+}
+
+module.exports = { MOCK_AQA_PORT, createMockAqaServer };
@@ -0,0 +1,13 @@
+const { spawn } = require('child_process');
+
+// Runs the suite against the bundled fixture site (the local environment).
+// Extra arguments go to `playwright test`: `npm run test:offline -- --project=chromium`.
+// TEST_ENV is set here rather than in the npm script so it works in any shell.
+
+const cli = require.resolve('@playwright/test/cli');
+
+const child = spawn(process.execPath, [cli, 'test', ...process.argv.slice(2)], {
+  stdio: 'inherit',
+  env: { ...process.env, TEST_ENV: 'local' },
+});
+child.on('exit', (code) => process.exit(code === null ? 1 : code));
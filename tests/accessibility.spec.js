@@ -1,5 +1,9 @@
-import { test, expect } from '@playwright/test';
+import { test, expect } from './fixtures';
+import { checkContrast, formatContrastFailures } from './utils/contrast';
+import { attachReport } from './utils/html-report';
 
+// Keyboard navigation (tab order, focus visibility, skip link) is audited on
+// every page in keyboard.spec.js
 test.describe('Qualtiva Solutions - Accessibility', () => {
   test('should have proper heading structure', async ({ page }) => {
     await page.goto('/');
@@ -32,41 +36,18 @@ test.describe('Qualtiva Solutions - Accessibility', () => {
     }
   });
 
-  test('should have keyboard navigation support', async ({ page }) => {
+  test('should have sufficient color contrast', async ({ page }, testInfo) => {
     await page.goto('/');
     
-    // Test tab navigation through focusable elements
-    const focusableElements = page.locator('a, button, input, select, textarea, [tabindex]:not([tabindex="-1"])');
-    const count = await focusableElements.count();
+    // Every visible text element, measured against its effective background (WCAG 2.x AA)
+    const report = await checkContrast(page);
+    await attachReport(testInfo, 'color-contrast', { json: report });
     
-    if (count > 0) {
-      // Focus first element
-      await focusableElements.first().focus();
-      await expect(focusableElements.first()).toBeFocused();
-      
-      // Tab through a few elements
-      for (let i = 0; i < Math.min(3, count - 1); i++) {
-        await page.keyboard.press('Tab');
-        // Verify focus moved (general check)
-        const activeElement = page.locator(':focus');
-        await expect(activeElement).toBeVisible();
-      }
+    if (report.indeterminate.length > 0) {
+      console.log(`⚠️  ${report.indeterminate.length} text elements over background images need a manual contrast check`);
     }
-  });
-
-  test('should have sufficient color contrast', async ({ page }) => {
-    await page.goto('/');
-    
-    // This is a basic check - in a real scenario, you'd use specialized tools
-    // Check that text is not the same color as background
-    const textColor = await page.evaluate(() => {
-      return window.getComputedStyle(document.body).color;
-    });
-    
-    const backgroundColor = await page.evaluate(() => {
-      return window.getComputedStyle(document.body).backgroundColor;
-    });
     
-    expect(textColor).not.toBe(backgroundColor);
+    expect(report.checked).toBeGreaterThan(0);
+    expect(report.failures, `Text below the WCAG contrast minimum:\n${formatContrastFailures(report.failures)}`).toEqual([]);
   });
-});
\ No newline at end of file
+});
@@ -0,0 +1,131 @@
+import fs from 'fs';
+import { test, expect } from './fixtures';
+import AqaReporter from '../reporters/aqa-reporter';
+import { resolveAqaOptions, postResults } from '../reporters/aqa-client';
+import { createMockAqaServer } from '../scripts/mock-aqa-server';
+
+const JUNIT = '<?xml version="1.0" encoding="UTF-8"?>\n<testsuites tests="1" failures="0"><testsuite name="smoke.spec.js" tests="1"><testcase name="loads" /></testsuite></testsuites>\n';
+
+// Runs the AQA reporter against a local mock ingestion server. Nothing here
+// needs a browser or the site, so it runs in the reporters project only.
+test.describe('AQA Reporter', () => {
+  let server;
+  let endpoint;
+
+  async function startServer(options) {
+    server = createMockAqaServer(options);
+    await new Promise(resolve => server.listen(0, resolve));
+    endpoint = `http://localhost:${server.address().port}/in-http`;
+  }
+
+  function reporterOptions(overrides = {}) {
+    return resolveAqaOptions({
+      endpoint,
+      user: 'aqa',
+      password: 'aqa',
+      tags: 'smoke,smoke-job',
+      team: 'web-developers',
+      project: 'qualtiva-website-tests',
+      application: 'qualtiva-website',
+      product: 'qualtiva',
+      environment: 'dev',
+      retryDelay: 10,
+      ...overrides,
+    }, {});
+  }
+
+  test.afterEach(async () => {
+    if (server) await new Promise(resolve => server.close(resolve));
+    server = null;
+  });
+
+  test('posts the JUnit payload with the AQA headers and basic auth', async () => {
+    await startServer();
+    const outcome = await postResults(JUNIT, reporterOptions(), () => {});
+
+    expect(outcome).toMatchObject({ ok: true, status: 200, attempts: 1 });
+    expect(server.received).toHaveLength(1);
+    expect(server.received[0].body).toBe(JUNIT);
+    expect(server.received[0].headers).toMatchObject({
+      'content-type': 'application/xml',
+      'test-engine-result-format': 'junit',
+      'test-engine': 'playwright',
+      'tags': 'smoke,smoke-job',
+      'aqa-team': 'web-developers',
+      'aqa-project': 'qualtiva-website-tests',
+      'aqa-application': 'qualtiva-website',
+      'aqa-product': 'qualtiva',
+      'aqa-environment': 'dev',
+      'authorization': `Basic ${Buffer.from('aqa:aqa').toString('base64')}`,
+    });
+  });
+
+  test('retries server errors with backoff and then succeeds', async () => {
+    await startServer({ failFirst: 2 });
+    const messages = [];
+    const outcome = await postResults(JUNIT, reporterOptions(), message => messages.push(message));
+
+    expect(outcome).toMatchObject({ ok: true, status: 200, attempts: 3 });
+    expect(server.attempts).toHaveLength(3);
+    expect(messages).toEqual([
+      'AQA upload attempt 1 failed (HTTP 503), retrying in 10ms',
+      'AQA upload attempt 2 failed (HTTP 503), retrying in 20ms',
+    ].map(message => `⚠️  ${message}`));
+  });
+
+  test('does not retry rejected credentials and fails the run', async ({}, testInfo) => {
+    await startServer({ password: 'other' });
+    const resultsFile = testInfo.outputPath('results.xml');
+    fs.writeFileSync(resultsFile, JUNIT);
+
+    const reporter = new AqaReporter(reporterOptions({ resultsFile }), {});
+    const result = await reporter.onEnd({ status: 'passed' });
+
+    expect(server.attempts).toHaveLength(1);
+    expect(result).toEqual({ status: 'failed' });
+  });
+
+  test('gives up after the configured retries', async () => {
+    await startServer({ failFirst: 10, failStatus: 500 });
+    const outcome = await postResults(JUNIT, reporterOptions({ retries: 2 }), () => {});
+
+    expect(outcome).toMatchObject({ ok: false, status: 500, attempts: 3 });
+    expect(server.received).toHaveLength(0);
+  });
+
+  test('dry run sends nothing and passes', async ({}, testInfo) => {
+    await startServer();
+    const resultsFile = testInfo.outputPath('results.xml');
+    fs.writeFileSync(resultsFile, JUNIT);
+
+    const reporter = new AqaReporter(reporterOptions({ resultsFile, dryRun: true }), {});
+    expect(await reporter.onEnd({ status: 'passed' })).toBeUndefined();
+    expect(server.attempts).toHaveLength(0);
+  });
+
+  test('a missing results file only fails the run when failOnError is on', async ({}, testInfo) => {
+    await startServer();
+    const resultsFile = testInfo.outputPath('missing.xml');
+
+    expect(await new AqaReporter(reporterOptions({ resultsFile }), {}).onEnd({ status: 'passed' })).toEqual({ status: 'failed' });
+    expect(await new AqaReporter(reporterOptions({ resultsFile, failOnError: false }), {}).onEnd({ status: 'passed' })).toBeUndefined();
+  });
+
+  test('AQA_* environment variables override the configured options', async () => {
+    const options = resolveAqaOptions({ team: 'web-developers', tags: 'full-suite' }, {
+      AQA_ENDPOINT: 'http://aqa.example/in-http',
+      AQA_TAGS: 'smoke',
+      AQA_RETRIES: '5',
+      AQA_DRY_RUN: 'true',
+    });
+
+    expect(options).toMatchObject({
+      endpoint: 'http://aqa.example/in-http',
+      team: 'web-developers',
+      tags: 'smoke',
+      retries: 5,
+      dryRun: true,
+      engine: 'playwright',
+    });
+  });
+});
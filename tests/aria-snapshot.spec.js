@@ -0,0 +1,80 @@
+import { test, expect } from './fixtures';
+import {
+  FAILING_RULES,
+  accessibilityTree,
+  checkLandmarks,
+  headingOutline,
+  checkHeadingOutline,
+  formatOutline,
+  formatAriaFinding,
+} from './utils/aria-snapshot';
+import { hasBaseline } from './utils/baselines';
+
+// Accessibility-tree baselines live in tests/__aria-snapshots__/aria-snapshot.spec.js/,
+// one set per environment. Update them with `npm run test:aria:update` after an intended change.
+// Only the local fixture site's set is committed; other environments create theirs
+// with `TEST_ENV=<env> npm run test:aria:update` and fail until they do.
+
+const PAGES = [
+  { name: 'home', path: '/' },
+  { name: 'contact', path: '/contact' }
+];
+
+// Engines build slightly different trees, so the baselines come from one. The
+// landmark and heading checks run in every project.
+const BASELINE_PROJECT = 'chromium';
+
+function expectBaseline(testInfo, name, environment) {
+  expect(hasBaseline(testInfo, name, 'aria'),
+    `No ARIA baseline ${name} for ${environment.name}: create it with TEST_ENV=${environment.name} npm run test:aria:update and commit it`).toBe(true);
+}
+
+function expectNoFailures(testInfo, findings, message) {
+  for (const warning of findings.filter(finding => !FAILING_RULES.includes(finding.rule))) {
+    testInfo.annotations.push({ type: 'warning', description: formatAriaFinding(warning) });
+  }
+  const failing = findings.filter(finding => FAILING_RULES.includes(finding.rule)).map(formatAriaFinding);
+  expect(failing, message).toEqual([]);
+}
+
+test.describe('Qualtiva Solutions - Accessibility Tree', () => {
+  for (const { name, path } of PAGES) {
+    test(`${name} page main content should match the ARIA baseline`, async ({ page, environment }, testInfo) => {
+      test.skip(testInfo.project.name !== BASELINE_PROJECT, `ARIA baselines are compared in the ${BASELINE_PROJECT} project only`);
+      const baseline = `${name}-${environment.name}.aria.yml`;
+      expectBaseline(testInfo, baseline, environment);
+
+      await page.goto(path);
+      await expect(page.getByRole('main')).toMatchAriaSnapshot({ name: baseline });
+    });
+
+    test(`${name} page should have one main, banner and contentinfo and labelled navigation`, async ({ page }, testInfo) => {
+      await page.goto(path);
+      const nodes = await accessibilityTree(page);
+      await testInfo.attach(`${name}-outline.txt`, { body: formatOutline(nodes), contentType: 'text/plain' });
+
+      const findings = checkLandmarks(nodes);
+      console.log(`📊 ${path}: ${nodes.filter(node => node.role === 'navigation').length} navigation regions, ${findings.length} landmark findings`);
+      expectNoFailures(testInfo, findings, `Landmark problems on ${path} (see ${name}-outline.txt)`);
+    });
+
+    test(`${name} page heading outline should have no gaps`, async ({ page }, testInfo) => {
+      await page.goto(path);
+      const headings = headingOutline(await accessibilityTree(page));
+
+      const findings = checkHeadingOutline(headings);
+      console.log(`📊 ${path}: ${headings.map(heading => `h${heading.level}`).join(' ') || 'no headings'}`);
+      expectNoFailures(testInfo, findings, `Heading outline problems on ${path}`);
+    });
+  }
+
+  test('navigation should match the ARIA baseline', async ({ page, environment }, testInfo) => {
+    test.skip(testInfo.project.name !== BASELINE_PROJECT, `ARIA baselines are compared in the ${BASELINE_PROJECT} project only`);
+    const baseline = `navigation-${environment.name}.aria.yml`;
+    expectBaseline(testInfo, baseline, environment);
+
+    await page.goto('/');
+    // The whole header: logo, menu toggle and the main navigation
+    await expect(page.getByRole('banner')).toMatchAriaSnapshot({ name: baseline });
+  });
+});
@@ -0,0 +1,76 @@
+import { test, expect } from './fixtures';
+import { crawledHtmlPages } from './utils/crawler';
+import { findSiteWideBlocks } from './utils/robots';
+import {
+  FAILING_RULES,
+  fetchRobots,
+  sitemapLocations,
+  loadSitemaps,
+  checkSitemapUrls,
+  findUnlistedPages,
+  formatSitemapFinding,
+  sitemapReport,
+} from './utils/sitemap';
+import { attachReport } from './utils/html-report';
+
+// Checks what search engines see: robots.txt, the sitemaps it points at and
+// whether every page we link to can be found through them.
+test.describe('Qualtiva Solutions - robots.txt and Sitemap', () => {
+  test('robots.txt is served as plain text and parses cleanly', async ({ request, baseURL }, testInfo) => {
+    const { url, status, contentType, robots } = await fetchRobots(request, baseURL);
+    console.log(`📊 ${url}: ${robots.groups.length} groups, sitemaps: ${robots.sitemaps.join(', ') || 'none'}`);
+
+    expect(status, `${url} should be served`).toBe(200);
+    expect(contentType).toContain('text/plain');
+
+    for (const warning of robots.warnings) {
+      testInfo.annotations.push({ type: 'warning', description: `robots.txt line ${warning.line}: ${warning.detail}` });
+    }
+    if (robots.sitemaps.length === 0) {
+      testInfo.annotations.push({ type: 'warning', description: 'robots.txt has no Sitemap line, /sitemap.xml is assumed' });
+    }
+  });
+
+  test('robots.txt does not block search engines from the whole site', async ({ request, baseURL, environment }) => {
+    // Dev and staging are meant to be hidden from search engines
+    test.skip(!environment.indexable, `${environment.name} is not indexable`);
+
+    const { robots } = await fetchRobots(request, baseURL);
+    expect(findSiteWideBlocks(robots), `robots.txt on ${environment.name} blocks these user agents from the whole site`).toEqual([]);
+  });
+
+  test('every sitemap URL returns 200, is crawlable and is its own canonical', async ({ request, baseURL, environment }, testInfo) => {
+    const { url: robotsUrl, robots } = await fetchRobots(request, baseURL);
+    const { sitemaps, urls, findings } = await loadSitemaps(request, sitemapLocations(robots, baseURL));
+    // robots.txt is expected to block everything where the site is not indexable
+    const results = await checkSitemapUrls(request, urls, {
+      baseURL,
+      internalHosts: environment.internalHosts,
+      robots: environment.indexable ? robots : null,
+    });
+
+    await attachReport(testInfo, 'sitemap', sitemapReport({ robotsUrl, sitemaps, results, findings }));
+    console.log(`📊 Read ${sitemaps.length} sitemaps listing ${urls.length} URLs`);
+
+    const all = [...findings, ...results.flatMap(result => result.findings)];
+    for (const warning of all.filter(finding => !FAILING_RULES.includes(finding.rule))) {
+      testInfo.annotations.push({ type: 'warning', description: formatSitemapFinding(warning) });
+    }
+
+    expect(urls.length, 'The sitemaps should list at least one URL').toBeGreaterThan(0);
+    const failing = all.filter(finding => FAILING_RULES.includes(finding.rule)).map(formatSitemapFinding);
+    expect(failing, 'Unreadable sitemaps or listed URLs that are broken, blocked or not canonical (see sitemap.html)').toEqual([]);
+  });
+
+  test('every crawled page is listed in the sitemap', async ({ request, baseURL, environment, siteCrawl }) => {
+    const { robots } = await fetchRobots(request, baseURL);
+    const { urls } = await loadSitemaps(request, sitemapLocations(robots, baseURL));
+
+    const pages = crawledHtmlPages(siteCrawl);
+
+    const unlisted = findUnlistedPages(pages, urls.map(entry => entry.url), environment.indexable ? robots : null);
+    console.log(`📊 ${pages.length} crawled pages, ${unlisted.length} not in the sitemap`);
+
+    expect(unlisted.map(finding => finding.url), 'Crawled pages missing from the sitemap').toEqual([]);
+  });
+});
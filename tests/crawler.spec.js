@@ -0,0 +1,18 @@
+import { test, expect } from './fixtures';
+import { brokenLinkReport } from './utils/crawler';
+import { attachReport } from './utils/html-report';
+
+test.describe('Qualtiva Solutions - Site Crawl', () => {
+  test('should have no broken internal links', async ({ siteCrawl }, testInfo) => {
+    await attachReport(testInfo, 'broken-links', brokenLinkReport(siteCrawl));
+
+    console.log(`📊 Crawled ${siteCrawl.results.length} URLs, ${siteCrawl.broken.length} broken`);
+
+    const broken = siteCrawl.broken.map(entry => ({
+      url: entry.url,
+      status: entry.status ?? entry.error,
+      foundOn: entry.sources.map(source => `${source.page} ("${source.text}")`),
+    }));
+    expect(broken, 'Internal links returning 4xx/5xx (see broken-links.html)').toEqual([]);
+  });
+});
@@ -1,4 +1,8 @@
-import { test, expect } from '@playwright/test';
+import { test, expect } from './fixtures';
+import { checkContrast, formatContrastFailures } from './utils/contrast';
+import { collectLoadTime } from './utils/web-vitals';
+import { formatBudgetResult, expectLoadWithinBudget } from './utils/budgets';
+import { formatIssue } from './utils/page-health';
 
 test.describe('Qualtiva Solutions - Cross-Browser Compatibility', () => {
   test.beforeEach(async ({ page }) => {
@@ -7,10 +11,10 @@ test.describe('Qualtiva Solutions - Cross-Browser Compatibility', () => {
   });
 
   test.describe('Core Functionality Across Browsers', () => {
-    test('should load homepage in all browsers', async ({ page, browserName }) => {
+    test('should load homepage in all browsers', async ({ page, browserName, environment }) => {
       // Basic page load test
       await expect(page).toHaveTitle(/Qualtiva/i);
-      await expect(page).toHaveURL(/analytiqa|qualtiva/);
+      await expect(page).toHaveURL(url => environment.internalHosts.includes(url.hostname));
       
       // Check if main content is visible
       const body = page.locator('body');
@@ -19,14 +23,13 @@ test.describe('Qualtiva Solutions - Cross-Browser Compatibility', () => {
       console.log(`✅ Homepage loads successfully in ${browserName}`);
     });
 
-    test('should have working navigation in all browsers', async ({ page, browserName }) => {
+    test('should have working navigation in all browsers', async ({ page, navigation, browserName }) => {
       // Test navigation functionality
-      const nav = page.locator('nav, header');
-      if (await nav.count() > 0) {
-        await expect(nav.first()).toBeVisible();
+      if (await navigation.container.count() > 0) {
+        await expect(navigation.container).toBeVisible();
         
         // Test navigation links
-        const navLinks = page.locator('nav a, header a');
+        const navLinks = navigation.links;
         const linkCount = await navLinks.count();
         
         if (linkCount > 0) {
@@ -178,17 +181,15 @@ test.describe('Qualtiva Solutions - Cross-Browser Compatibility', () => {
   });
 
   test.describe('Performance Across Browsers', () => {
-    test('should load within acceptable time in all browsers', async ({ page, browserName }) => {
-      const startTime = Date.now();
+    test('should load within acceptable time in all browsers', async ({ page, browserName }, testInfo) => {
       await page.goto('/');
       await page.waitForLoadState('load');
-      const loadTime = Date.now() - startTime;
+      const loadTime = await collectLoadTime(page);
       
-      // Different browsers may have different performance characteristics
-      const maxLoadTime = browserName === 'webkit' ? 4000 : 3000; // Safari might be slower
-      expect(loadTime).toBeLessThan(maxLoadTime);
+      // Different browsers may have different performance characteristics, so budgets are per project
+      const result = await expectLoadWithinBudget(testInfo, '/', loadTime);
       
-      console.log(`📊 ${browserName} load time: ${loadTime}ms`);
+      console.log(`📊 ${browserName} ${formatBudgetResult(result)}`);
     });
 
     test('should handle images consistently', async ({ page, browserName }) => {
@@ -223,7 +224,7 @@ test.describe('Qualtiva Solutions - Cross-Browser Compatibility', () => {
   });
 
   test.describe('Mobile Browser Compatibility', () => {
-    test('should work properly on mobile browsers', async ({ page, browserName, isMobile }) => {
+    test('should work properly on mobile browsers', async ({ page, mobileMenu, browserName, isMobile }) => {
       if (isMobile) {
         // Test mobile-specific features
         const viewport = page.viewportSize();
@@ -245,9 +246,8 @@ test.describe('Qualtiva Solutions - Cross-Browser Compatibility', () => {
         }
         
         // Test mobile menu if present
-        const mobileMenuButton = page.locator('button[aria-label*="menu" i], .mobile-menu-toggle, .hamburger');
-        if (await mobileMenuButton.count() > 0) {
-          await expect(mobileMenuButton.first()).toBeVisible();
+        if (await mobileMenu.isPresent()) {
+          await expect(mobileMenu.toggle).toBeVisible();
         }
         
         console.log(`✅ Mobile compatibility verified for ${browserName}`);
@@ -309,57 +309,29 @@ test.describe('Qualtiva Solutions - Cross-Browser Compatibility', () => {
     });
 
     test('should handle colors and contrast', async ({ page, browserName }) => {
-      // Test color rendering
-      const colorInfo = await page.evaluate(() => {
-        const body = document.body;
-        const computedStyle = window.getComputedStyle(body);
-        return {
-          color: computedStyle.color,
-          backgroundColor: computedStyle.backgroundColor
-        };
-      });
-      
-      // Colors should be defined
-      expect(colorInfo.color).toBeTruthy();
-      expect(colorInfo.backgroundColor).toBeTruthy();
+      // Computed colours differ between engines, so contrast is checked in each browser
+      const report = await checkContrast(page);
       
-      // Colors should be different (basic contrast check)
-      expect(colorInfo.color).not.toBe(colorInfo.backgroundColor);
+      expect(report.checked).toBeGreaterThan(0);
+      expect(report.failures, `Text below the WCAG contrast minimum in ${browserName}:\n${formatContrastFailures(report.failures)}`).toEqual([]);
       
-      console.log(`✅ Color rendering works in ${browserName}`);
+      console.log(`✅ Color contrast passes for ${report.checked} text elements in ${browserName}`);
     });
   });
 
   test.describe('Error Handling', () => {
-    test('should handle JavaScript errors gracefully', async ({ page, browserName }) => {
-      const consoleErrors = [];
-      
-      page.on('console', (msg) => {
-        if (msg.type() === 'error') {
-          consoleErrors.push(msg.text());
-        }
-      });
-      
+    test('should handle JavaScript errors gracefully', async ({ page, browserName, pageHealth }) => {
       await page.goto('/');
       await page.waitForLoadState('load');
       
-      // Filter out common non-critical errors
-      const criticalErrors = consoleErrors.filter(error => 
-        !error.includes('favicon') && 
-        !error.includes('analytics') &&
-        !error.includes('third-party') &&
-        !error.includes('adblock') &&
-        !error.includes('extension')
-      );
-      
-      // Should have minimal critical errors
-      expect(criticalErrors.length).toBeLessThan(10);
-      
-      if (criticalErrors.length > 0) {
-        console.log(`⚠️  ${browserName} errors:`, criticalErrors);
+      // Known noise is allowlisted in config/page-health-allowlist.json
+      const errors = pageHealth.unexpected('console-error', 'page-error').map(formatIssue);
+      if (errors.length > 0) {
+        console.log(`⚠️  ${browserName} errors:`, errors);
       } else {
         console.log(`✅ No critical errors in ${browserName}`);
       }
+      expect(errors).toEqual([]);
     });
 
     test('should handle network issues gracefully', async ({ page, browserName }) => {
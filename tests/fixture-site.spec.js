@@ -0,0 +1,367 @@
+import { test, expect } from './fixtures';
+import { isFixtureURL } from '../fixture-site/server';
+import { crawlSite } from './utils/crawler';
+import { checkContrast } from './utils/contrast';
+import { captureSources, fetchSourceMaps, scanSources } from './utils/secret-scanner';
+import { FUZZ_PAYLOADS, FAILING_RULES, fuzzPages } from './utils/form-fuzz';
+import { mockFormBackend } from './utils/form-backend';
+import { trackRequests, findInsecureReferences, auditRequests } from './utils/network';
+import { FAILING_RULES as STRUCTURED_DATA_FAILURES, extractStructuredData, parseStructuredData, validateStructuredData } from './utils/structured-data';
+import { SEARCH_ENGINE_AGENTS, parseRobots, findSiteWideBlocks } from './utils/robots';
+import { fetchRobots, loadSitemaps, checkSitemapUrls } from './utils/sitemap';
+import { FAILING_RULES as SOCIAL_FAILURES, extractSocialTags, tagValue, validateSocialTags, checkSocialImage } from './utils/social-preview';
+import { extractSeoData, auditSeoPage, withDuplicates } from './utils/seo-audit';
+import { DIALOG_TRIGGERS, tabThroughPage, checkSkipLink, checkDialog } from './utils/keyboard';
+import { accessibilityTree, checkLandmarks, headingOutline, checkHeadingOutline } from './utils/aria-snapshot';
+import { findMotion, recordRenderedElements, findDisappearedElements } from './utils/media-preferences';
+import { loadSecurityPolicy, checkSecurityHeaders, analyzeCsp, partitionFindings } from './utils/security-headers';
+
+// Checks that the bundled fixture site gives the results the suite expects:
+// the good pages pass and each known-bad page fails in exactly one way.
+test.describe('Fixture Site - Known Results', () => {
+  test.skip(({ baseURL }) => !isFixtureURL(baseURL), 'Only runs against the bundled fixture site (TEST_ENV=local)');
+
+  test('good pages have a single h1 and security headers', async ({ page }) => {
+    for (const path of ['/', '/about/', '/services/', '/contact/']) {
+      const response = await page.goto(path);
+      expect(response.status()).toBe(200);
+      await expect(page.locator('h1')).toHaveCount(1);
+      expect(response.headers()['x-content-type-options']).toBe('nosniff');
+    }
+  });
+
+  test('missing-h1 page has no h1', async ({ page }) => {
+    await page.goto('/bad/missing-h1/');
+    await expect(page.locator('h1')).toHaveCount(0);
+  });
+
+  test('broken-links page links to missing pages', async ({ page, request }) => {
+    await page.goto('/bad/broken-links/');
+
+    const hrefs = await page.locator('main a').evaluateAll(links => links.map(link => link.href));
+    const statuses = [];
+    for (const href of hrefs) {
+      const response = await request.get(href);
+      statuses.push(response.status());
+    }
+
+    expect(statuses).toEqual([200, 404, 404]);
+  });
+
+  test('crawler reports the broken links with their source', async ({ page, request, baseURL }) => {
+    const crawl = await crawlSite(page, request, new URL('/bad/broken-links/', baseURL).href, { maxDepth: 1 });
+    const broken = crawl.broken.map(entry => ({ path: new URL(entry.url).pathname, status: entry.status, text: entry.sources[0].text }));
+
+    expect(broken).toEqual([
+      { path: '/does-not-exist/', status: 404, text: 'A missing page' },
+      { path: '/assets/missing.pdf', status: 404, text: 'A missing download' },
+    ]);
+  });
+
+  test('low-contrast page fails the contrast check for normal-size text only', async ({ page }) => {
+    await page.goto('/bad/low-contrast/');
+    const report = await checkContrast(page);
+
+    // The large grey heading (#main > h2) meets the 3:1 large-text minimum
+    expect(report.failures.map(failure => failure.selector)).toEqual(['#main > p', '#main > div > p']);
+  });
+
+  test('no-headers page is served without security headers', async ({ request }) => {
+    const response = await request.get('/bad/no-headers/');
+    const headers = response.headers();
+
+    expect(response.status()).toBe(200);
+    for (const header of ['strict-transport-security', 'x-content-type-options', 'x-frame-options', 'referrer-policy', 'content-security-policy']) {
+      expect(headers[header]).toBeUndefined();
+    }
+
+    const { errors } = partitionFindings(checkSecurityHeaders(headers, loadSecurityPolicy('prod')));
+    expect(errors.map(finding => finding.header).sort()).toEqual([
+      'content-security-policy',
+      'permissions-policy',
+      'referrer-policy',
+      'strict-transport-security',
+      'x-content-type-options',
+      'x-frame-options',
+    ]);
+  });
+
+  test('good pages pass the prod security-header policy and CSP analysis', async ({ request }) => {
+    const policy = loadSecurityPolicy('prod');
+    const headers = (await request.get('/')).headers();
+
+    expect(checkSecurityHeaders(headers, policy)).toEqual([]);
+    expect(analyzeCsp(headers['content-security-policy'], policy.csp)).toEqual([]);
+  });
+
+  test('paths outside the site or with malformed encoding are bad requests', async ({ request }) => {
+    expect((await request.get('/..%2fpublic-private/secret.txt')).status()).toBe(400);
+    expect((await request.get('/%E0%A4%A')).status()).toBe(400);
+  });
+
+  test('weak-csp page fails CSP analysis', async ({ request }) => {
+    const policy = loadSecurityPolicy('prod');
+    const headers = (await request.get('/bad/weak-csp/')).headers();
+    const findings = analyzeCsp(headers['content-security-policy'], policy.csp);
+
+    expect(partitionFindings(findings).errors.map(finding => finding.rule)).toEqual([
+      'unsafe-inline-script',
+      'unsafe-eval',
+      'wildcard-source',
+      'wildcard-source',
+      'missing-directive',
+      'missing-directive',
+      'missing-directive',
+      'missing-directive',
+    ]);
+    expect(partitionFindings(findings).warnings.map(finding => finding.rule)).toEqual(['unsafe-inline-style']);
+  });
+
+  test('leaked-secrets page exposes each secret signature with its location', async ({ page, request }) => {
+    const capture = captureSources(page);
+    await page.goto('/bad/leaked-secrets/');
+    const sources = await capture.settle();
+    sources.push(...await fetchSourceMaps(request, sources));
+
+    const { findings } = scanSources(sources, []);
+    const located = findings.map(finding => `${new URL(finding.url).pathname}:${finding.line}:${finding.column} ${finding.signature}`);
+
+    expect(located.sort()).toEqual([
+      '/assets/leaky.js.map:2:27 private-key',
+      '/assets/leaky.js:4:20 aws-access-key-id',
+      '/assets/leaky.js:5:13 google-api-key',
+      '/assets/leaky.js:6:18 jwt',
+      '/assets/leaky.js:7:15 high-entropy-string',
+    ]);
+
+    // Allowlisted findings are kept apart rather than dropped
+    const allowlisted = scanSources(sources, [{ signature: 'jwt', url: '*/assets/leaky.js', reason: 'fixture' }]);
+    expect(allowlisted.findings.map(finding => finding.signature)).not.toContain('jwt');
+    expect(allowlisted.allowed.map(finding => finding.signature)).toEqual(['jwt']);
+  });
+
+  test('failing-form page reports a server error on submit', { tag: '@form-submission' }, async ({ page }) => {
+    await page.goto('/bad/failing-form/');
+
+    const form = page.locator('form');
+    await form.getByLabel('Name').fill('Test User');
+    await form.getByLabel('Email').fill('test@example.com');
+    await form.getByLabel('Message').fill('Hello from the fixture site');
+
+    const responsePromise = page.waitForResponse('**/api/fail');
+    await form.getByRole('button', { name: /send/i }).click();
+    const response = await responsePromise;
+
+    expect(response.status()).toBe(500);
+    await expect(form.getByRole('status')).toHaveText(/went wrong/i);
+  });
+
+  test('reflected-xss page reflects and runs a fuzzed payload, the contact form does not', async ({ page }) => {
+    const payloads = FUZZ_PAYLOADS.filter(payload => ['img-onerror', 'sql-quote'].includes(payload.id));
+    const results = await fuzzPages(page, ['/bad/reflected-xss/', '/contact/'], payloads);
+
+    expect(results.pages).toEqual(['/bad/reflected-xss/', '/contact/']);
+    const failing = results.findings.filter(finding => FAILING_RULES.includes(finding.rule));
+    expect(failing.map(finding => `${finding.page} ${finding.payload} ${finding.rule}`)).toEqual([
+      '/bad/reflected-xss/ img-onerror unescaped-reflection',
+      '/bad/reflected-xss/ img-onerror script-executed',
+    ]);
+
+    // The email fields reject the payloads, so the invalid forms are never sent
+    expect(results.findings.filter(finding => finding.rule === 'type-not-enforced')).toEqual([]);
+  });
+
+  test('a GET form submission is captured by the mock backend instead of reaching the site', async ({ page }) => {
+    const backend = await mockFormBackend(page);
+    await page.goto('/about/');
+    await page.locator('main').evaluate(main => main.insertAdjacentHTML('beforeend', '<form action="/search/"><input name="q"><button>Search</button></form>'));
+    await page.locator('input[name="q"]').fill("' OR '1'='1' --");
+
+    const release = backend.captureNavigations(page.url());
+    await page.getByRole('button', { name: 'Search' }).click();
+    await page.waitForLoadState('load');
+    release();
+
+    expect(backend.submissions).toEqual([expect.objectContaining({ method: 'GET', resourceType: 'document', encoding: 'query', fields: { q: "' OR '1'='1' --" } })]);
+  });
+
+  test('the mock backend captures posts to a form action and lets analytics posts through', async ({ page }) => {
+    const backend = await mockFormBackend(page);
+    await page.goto('/contact/');
+    await page.evaluate(async () => {
+      await fetch('/api/analytics', { method: 'POST', body: '{"event":"view"}' }).catch(() => {});
+      await fetch(document.querySelector('.contact-form').action, { method: 'POST', body: '{}' });
+    });
+
+    expect(backend.submissions.map(submission => new URL(submission.url).pathname)).toEqual(['/api/contact']);
+  });
+
+  test('script-errors page records a console error, a page error and a failed request', async ({ page, pageHealth }) => {
+    await page.goto('/bad/script-errors/');
+    await page.waitForLoadState('networkidle');
+
+    const unexpected = pageHealth.unexpected();
+    expect(unexpected.map(issue => issue.kind)).toEqual(expect.arrayContaining(['console-error', 'page-error', 'failed-request']));
+    expect(unexpected).toContainEqual(expect.objectContaining({ kind: 'page-error', message: expect.stringMatching(/render/) }));
+    expect(unexpected).toContainEqual(expect.objectContaining({ kind: 'failed-request', message: 'HTTP 404', url: expect.stringContaining('/assets/missing-diagram.png') }));
+
+    // Allowlisted issues are kept but not counted as unexpected
+    pageHealth.record({ kind: 'failed-request', message: 'HTTP 404', url: `${new URL(page.url()).origin}/favicon.ico` });
+    expect(pageHealth.issues.at(-1)).toMatchObject({ allowed: true });
+    expect(pageHealth.unexpected()).toHaveLength(unexpected.length);
+  });
+
+  test('network-issues page fails the network audit', async ({ page }) => {
+    const tracker = trackRequests(page);
+    await page.goto('/bad/network-issues/');
+    await page.waitForLoadState('networkidle');
+    const records = await tracker.settle();
+
+    const redirected = records.find(record => record.url.endsWith('/assets/logo.svg') && record.redirects > 0);
+    expect(redirected).toMatchObject({ status: 200, scheme: 'http', redirects: 2 });
+    expect(redirected.redirectChain.map(url => new URL(url).pathname)).toEqual(['/assets/old-logo.svg', '/assets/legacy-logo.svg']);
+
+    const findings = auditRequests(records, page.url(), { maxRedirects: 1 });
+    expect(findings.map(finding => `${finding.rule} ${new URL(finding.url).pathname}`).sort()).toEqual([
+      'http-error /assets/missing-banner.png',
+      'redirect-chain /assets/logo.svg',
+    ]);
+
+    // The fixture site is plain http, so mixed content is checked as if the page were served over HTTPS
+    const references = await findInsecureReferences(page);
+    expect(references).toEqual([{ element: 'img', attribute: 'src', url: 'http://127.0.0.1:4173/assets/logo.svg' }]);
+    const mixed = auditRequests([], 'https://www.example.com/', { insecureReferences: references });
+    expect(mixed.map(finding => finding.rule)).toEqual(['mixed-content']);
+  });
+
+  test('good pages have complete JSON-LD and microdata', async ({ page }) => {
+    for (const path of ['/', '/about/', '/services/', '/contact/']) {
+      await page.goto(path);
+      const { nodes, findings } = parseStructuredData(await extractStructuredData(page));
+      findings.push(...validateStructuredData(nodes, path));
+      expect(findings, path).toEqual([]);
+    }
+  });
+
+  test('structured-data page fails parsing and required properties', async ({ page }) => {
+    await page.goto('/bad/structured-data/');
+    const { nodes, findings } = parseStructuredData(await extractStructuredData(page));
+    findings.push(...validateStructuredData(nodes, '/bad/structured-data/'));
+
+    expect(findings.filter(finding => STRUCTURED_DATA_FAILURES.includes(finding.rule)).map(finding => `${finding.rule} ${finding.location} ${finding.detail}`)).toEqual([
+      expect.stringMatching(/^parse-error json-ld\[0\] /),
+      'missing-property json-ld[1] Organization is missing url',
+      'missing-property json-ld[1].contactPoint ContactPoint is missing contactType',
+      'missing-property microdata[0].itemListElement ListItem is missing position',
+    ]);
+  });
+
+  test('crawlability pages block the whole site and list broken sitemap URLs', async ({ request, baseURL }) => {
+    const blocked = parseRobots(await (await request.get('/bad/crawlability/robots.txt')).text());
+    expect(findSiteWideBlocks(blocked)).toEqual(SEARCH_ENGINE_AGENTS);
+
+    const { robots } = await fetchRobots(request, baseURL);
+    const { urls } = await loadSitemaps(request, [new URL('/bad/crawlability/sitemap.xml', baseURL).href]);
+    const results = await checkSitemapUrls(request, urls, { baseURL, robots });
+
+    expect(results.flatMap(result => result.findings).map(finding => {
+      const { pathname, search } = new URL(finding.url);
+      return `${finding.rule} ${pathname}${search}`;
+    })).toEqual([
+      'blocked-by-robots /bad/missing-h1/',
+      'not-200 /pricing/',
+      'canonical-mismatch /services/?ref=sitemap&utm_source=sitemap',
+      'not-200 /about',
+    ]);
+  });
+
+  test('gzipped sitemaps are read, already decoded ones too, and a corrupt one is a finding', async ({ request, baseURL }) => {
+    const sitemap = name => new URL(`/bad/crawlability/${name}`, baseURL).href;
+    const { urls, findings } = await loadSitemaps(request, [sitemap('sitemap-gzipped.xml.gz'), sitemap('sitemap-decoded.xml.gz'), sitemap('sitemap-corrupt.xml.gz')]);
+
+    expect(urls.map(entry => new URL(entry.sitemap).pathname)).toEqual(['/bad/crawlability/sitemap-gzipped.xml.gz']);
+    expect(findings.map(finding => `${finding.rule} ${new URL(finding.url).pathname}`)).toEqual([
+      'duplicate-url /about/',
+      'sitemap-error /bad/crawlability/sitemap-corrupt.xml.gz',
+    ]);
+  });
+
+  test('social-preview page points og:url elsewhere, shares an SVG and a missing twitter:image', async ({ page, request }) => {
+    await page.goto('/bad/social-preview/');
+    const { tags, canonical } = await extractSocialTags(page);
+    const findings = validateSocialTags({ tags, canonical }, page.url());
+    findings.push(...(await checkSocialImage(request, tagValue(tags, 'og:image'))).findings);
+    findings.push(...(await checkSocialImage(request, tagValue(tags, 'twitter:image'), { tag: 'twitter:image' })).findings);
+
+    expect(findings.filter(finding => SOCIAL_FAILURES.includes(finding.rule)).map(finding => `${finding.rule} ${finding.tag}`)).toEqual([
+      'missing-tag og:description',
+      'og-url-mismatch og:url',
+      'invalid-twitter-card twitter:card',
+      'image-type og:image',
+      'image-unreachable twitter:image',
+    ]);
+  });
+
+  test('seo page copies the home title, is noindex and has an off-site canonical', async ({ page, environment }) => {
+    const pages = [];
+    for (const path of ['/', '/bad/seo/']) {
+      await page.goto(path);
+      const data = await extractSeoData(page);
+      pages.push({ url: page.url(), data, findings: auditSeoPage(data, { url: page.url() }, environment) });
+    }
+    const [home, seo] = withDuplicates(pages);
+
+    expect(home.findings.map(finding => finding.rule)).toEqual(['duplicate-title']);
+    expect(seo.findings.map(finding => finding.rule)).toEqual(['missing-description', 'multiple-h1', 'noindex', 'canonical-off-site', 'duplicate-title']);
+  });
+
+  test('keyboard page hides a focusable link, drops the focus style and leaks dialog focus', async ({ page }) => {
+    await page.goto('/bad/keyboard/');
+    const { stops, findings } = await tabThroughPage(page);
+    expect(stops.length).toBeGreaterThan(0);
+
+    await page.goto('/bad/keyboard/');
+    findings.push(...await checkSkipLink(page));
+    await page.goto('/bad/keyboard/');
+    findings.push(...await checkDialog(page, page.locator(DIALOG_TRIGGERS).first()));
+
+    expect(findings.map(finding => finding.rule)).toEqual([
+      'hidden-focus', 'no-focus-indicator', 'missing-skip-link', 'dialog-focus', 'dialog-trap', 'dialog-escape',
+    ]);
+    expect(findings[0].detail).toContain('Hidden shortcut');
+    expect(findings[1].detail).toContain('Save preferences');
+  });
+
+  test('good pages have complete landmarks and a gapless heading outline', async ({ page }) => {
+    for (const path of ['/', '/about/', '/services/', '/contact/']) {
+      await page.goto(path);
+      const nodes = await accessibilityTree(page);
+      expect([...checkLandmarks(nodes), ...checkHeadingOutline(headingOutline(nodes))], path).toEqual([]);
+    }
+  });
+
+  test('landmarks page has two mains, an unlabelled nav and skips a heading level', async ({ page }) => {
+    await page.goto('/bad/landmarks/');
+    const nodes = await accessibilityTree(page);
+    const findings = [...checkLandmarks(nodes), ...checkHeadingOutline(headingOutline(nodes))];
+
+    expect(findings.map(finding => finding.rule)).toEqual(['main-count', 'unlabelled-nav', 'heading-gap']);
+    expect(findings[2].detail).toContain('h1 "Landmark problems" is followed by h3 "Skipped level"');
+  });
+
+  test('user-preferences page loses contrast in dark mode, keeps pulsing and drops its status dot in forced colours', async ({ page }) => {
+    await page.emulateMedia({ colorScheme: 'dark' });
+    await page.goto('/bad/user-preferences/');
+    expect((await checkContrast(page)).failures.map(failure => failure.selector)).toEqual(['#main > p:nth-of-type(1)']);
+
+    await page.emulateMedia({ colorScheme: null, reducedMotion: 'reduce' });
+    expect((await findMotion(page)).map(finding => `${finding.rule} ${finding.element}`)).toEqual(['animation span.prefs-badge']);
+
+    await page.emulateMedia({ reducedMotion: null });
+    await recordRenderedElements(page);
+    await page.emulateMedia({ forcedColors: 'active' });
+    const findings = await findDisappearedElements(page);
+    expect(findings.map(finding => `${finding.rule} ${finding.element}`)).toEqual(['disappears span.prefs-status-dot']);
+    expect(findings[0].detail).toContain('"Online"');
+  });
+});
@@ -0,0 +1,82 @@
+import { test as base, expect } from '@playwright/test';
+import { HomePage } from './pages/HomePage';
+import { Navigation, MobileMenu } from './pages/Navigation';
+import { ContactPage } from './pages/ContactPage';
+import { Footer } from './pages/Footer';
+import { applyThrottling } from './utils/throttling';
+import { createPageHealthMonitor, recordPageHealth, formatIssue } from './utils/page-health';
+import { crawlSite } from './utils/crawler';
+import { resolveEnvironment } from '../config/environments';
+
+// Page objects shared by all specs. Import `test` and `expect` from this file
+// instead of '@playwright/test' to get them as fixtures.
+export const test = base.extend({
+  // Named throttling profiles (see utils/throttling.js), set per project in
+  // playwright.config.js or per test with test.use({ throttling: 'Slow 3G' })
+  throttling: [null, { option: true }],
+
+  // Fail tests on console errors, page errors or failed requests that are not
+  // in config/page-health-allowlist.json: test.use({ strictPageHealth: true }),
+  // or set pageHealth.strict = true inside a single test
+  strictPageHealth: [false, { option: true }],
+
+  // Records console errors, uncaught exceptions and failed requests on every
+  // page the test opens and attaches them to the report (see utils/page-health.js)
+  pageHealth: [async ({ browserName, strictPageHealth }, use, testInfo) => {
+    const monitor = createPageHealthMonitor({ browserName, strict: strictPageHealth });
+    await use(monitor);
+
+    await recordPageHealth(testInfo, monitor);
+    if (monitor.strict) {
+      expect(monitor.unexpected().map(formatIssue), 'Unexpected console errors, page errors or failed requests (see page-health.json)').toEqual([]);
+    }
+  }, { auto: true }],
+
+  // The environment selected with TEST_ENV (see config/environments.json)
+  environment: [async ({}, use) => {
+    await use(resolveEnvironment());
+  }, { scope: 'worker' }],
+
+  // One crawl of the environment per worker (see utils/crawler.js), shared by
+  // the specs that audit every page: crawledHtmlPages(siteCrawl) lists them
+  siteCrawl: [async ({ browser, playwright, environment }, use) => {
+    const context = await browser.newContext();
+    const request = await playwright.request.newContext();
+    const crawl = await crawlSite(await context.newPage(), request, environment.baseURL, { internalHosts: environment.internalHosts });
+    await request.dispose();
+    await context.close();
+    await use(crawl);
+  }, { scope: 'worker', timeout: 10 * 60 * 1000 }],
+
+  page: async ({ page, throttling, browserName, pageHealth }, use, testInfo) => {
+    pageHealth.watch(page);
+    if (throttling) {
+      const profiles = [].concat(throttling).join(' + ');
+      if (browserName === 'chromium') {
+        await applyThrottling(page, throttling);
+        testInfo.annotations.push({ type: 'throttling', description: profiles });
+      } else {
+        testInfo.annotations.push({ type: 'throttling', description: `${profiles} not applied: needs Chromium, running ${browserName}` });
+      }
+    }
+    await use(page);
+  },
+
+  homePage: async ({ page }, use) => {
+    await use(new HomePage(page));
+  },
+  navigation: async ({ page }, use) => {
+    await use(new Navigation(page));
+  },
+  mobileMenu: async ({ page }, use) => {
+    await use(new MobileMenu(page));
+  },
+  contactPage: async ({ page }, use) => {
+    await use(new ContactPage(page));
+  },
+  footer: async ({ page }, use) => {
+    await use(new Footer(page));
+  },
+});
+
+export { expect };
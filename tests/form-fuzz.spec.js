@@ -0,0 +1,26 @@
+import { test, expect } from './fixtures';
+import { crawledHtmlPages } from './utils/crawler';
+import { FAILING_RULES, fuzzPages, formatFuzzFinding, fuzzReport } from './utils/form-fuzz';
+import { attachReport } from './utils/html-report';
+
+// Fills every form field on the crawled pages with long, unicode, emoji, SQL
+// and HTML/script payloads (see utils/form-fuzz.js). Submissions, GET forms
+// included, go to a mock backend that echoes them back. Tagged
+// @form-submission all the same, so it never runs against prod.
+test.describe('Qualtiva Solutions - Form Fuzzing', () => {
+  test('forms validate hostile input and never reflect or run it', { tag: '@form-submission' }, async ({ page, siteCrawl }, testInfo) => {
+    test.setTimeout(20 * 60 * 1000);
+
+    const results = await fuzzPages(page, crawledHtmlPages(siteCrawl));
+    await attachReport(testInfo, 'form-fuzz', fuzzReport(results));
+
+    const failing = results.findings.filter(finding => FAILING_RULES.includes(finding.rule));
+    const warnings = results.findings.filter(finding => !failing.includes(finding));
+    for (const warning of warnings) {
+      testInfo.annotations.push({ type: 'warning', description: formatFuzzFinding(warning) });
+    }
+
+    console.log(`📊 Fuzzed ${results.forms.length} forms on ${results.pages.length} pages: ${failing.length} failing, ${warnings.length} warnings`);
+    expect(failing.map(formatFuzzFinding), 'Payloads reflected or run, or invalid forms submitted (see form-fuzz.html)').toEqual([]);
+  });
+});
@@ -0,0 +1,60 @@
+import { test, expect } from './fixtures';
+import { crawledHtmlPages } from './utils/crawler';
+import {
+  FAILING_RULES,
+  DIALOG_TRIGGERS,
+  tabThroughPage,
+  checkSkipLink,
+  checkMenuEscape,
+  checkDialog,
+  formatKeyboardFinding,
+  keyboardReport,
+} from './utils/keyboard';
+import { attachReport } from './utils/html-report';
+
+// Uses every crawled page from the keyboard only: the full Tab sequence with
+// a visible focus indicator at each stop, the skip link and every dialog.
+// keyboard-audit.html lists the tab sequence of each page.
+test.describe('Qualtiva Solutions - Keyboard Navigation', () => {
+  test('every page can be used from the keyboard with visible focus', async ({ page, siteCrawl }, testInfo) => {
+    const urls = crawledHtmlPages(siteCrawl);
+
+    const pages = [];
+    for (const url of urls) {
+      // Each check starts from a freshly loaded page with nothing focused
+      await page.goto(url, { waitUntil: 'load' });
+      const { stops, findings } = await tabThroughPage(page);
+
+      await page.goto(url, { waitUntil: 'load' });
+      findings.push(...await checkSkipLink(page));
+
+      const dialogs = await page.locator(DIALOG_TRIGGERS).count();
+      for (let index = 0; index < dialogs; index++) {
+        await page.goto(url, { waitUntil: 'load' });
+        findings.push(...await checkDialog(page, page.locator(DIALOG_TRIGGERS).nth(index)));
+      }
+
+      pages.push({ url, stops, findings });
+      console.log(`📊 ${url}: ${stops.length} tab stops, ${dialogs} dialogs, ${findings.length} findings`);
+    }
+
+    await attachReport(testInfo, 'keyboard-audit', keyboardReport(pages));
+
+    const warnings = pages.flatMap(entry => entry.findings.filter(finding => !FAILING_RULES.includes(finding.rule)).map(finding => `${entry.url} ${formatKeyboardFinding(finding)}`));
+    for (const warning of warnings) {
+      testInfo.annotations.push({ type: 'warning', description: warning });
+    }
+
+    const failing = pages.flatMap(entry => entry.findings.filter(finding => FAILING_RULES.includes(finding.rule)).map(finding => `${entry.url} ${formatKeyboardFinding(finding)}`));
+    expect(failing, 'Keyboard problems (see keyboard-audit.html for the tab sequences)').toEqual([]);
+  });
+
+  test('mobile menu opens from the keyboard and closes with Escape', async ({ page, mobileMenu }) => {
+    await page.setViewportSize({ width: 375, height: 812 });
+    await page.goto('/');
+    test.skip(!await mobileMenu.toggle.isVisible(), 'No mobile menu toggle at 375px');
+
+    const findings = await checkMenuEscape(page, mobileMenu.toggle);
+    expect(findings.map(formatKeyboardFinding)).toEqual([]);
+  });
+});
@@ -1,4 +1,6 @@
-import { test, expect } from '@playwright/test';
+import { test, expect } from './fixtures';
+import { collectLoadTime } from './utils/web-vitals';
+import { formatBudgetResult, expectLoadWithinBudget } from './utils/budgets';
 
 test.describe('Qualtiva Solutions - Mobile Responsiveness', () => {
   test.beforeEach(async ({ page }) => {
@@ -238,65 +240,41 @@ test.describe('Qualtiva Solutions - Mobile Responsiveness', () => {
   });
 
   test.describe('Mobile Navigation Testing', () => {
-    test('should have mobile-friendly navigation', async ({ page }) => {
+    test('should have mobile-friendly navigation', async ({ page, navigation, mobileMenu }) => {
       // Set mobile viewport
       await page.setViewportSize({ width: 375, height: 667 });
       await page.reload();
       await page.waitForLoadState('load');
       
       // Check for mobile menu
-      const mobileMenuSelectors = [
-        'button[aria-label*="menu" i]',
-        '.mobile-menu-toggle',
-        '.hamburger',
-        '.nav-toggle',
-        '[data-testid="mobile-menu"]'
-      ];
-      
-      let mobileMenuFound = false;
-      for (const selector of mobileMenuSelectors) {
-        const menuButton = page.locator(selector);
-        if (await menuButton.count() > 0) {
-          await expect(menuButton.first()).toBeVisible();
-          mobileMenuFound = true;
-          console.log(`✅ Mobile menu found with selector: ${selector}`);
-          break;
-        }
-      }
-      
-      if (!mobileMenuFound) {
+      if (await mobileMenu.isPresent()) {
+        await expect(mobileMenu.toggle).toBeVisible();
+        console.log('✅ Mobile menu found');
+      } else if (await navigation.container.count() > 0) {
         // Check if navigation is still accessible on mobile
-        const nav = page.locator('nav, header');
-        if (await nav.count() > 0) {
-          await expect(nav.first()).toBeVisible();
-          console.log('✅ Navigation is mobile-friendly');
-        }
+        await expect(navigation.container).toBeVisible();
+        console.log('✅ Navigation is mobile-friendly');
       }
     });
 
-    test('should handle mobile menu interactions', async ({ page }) => {
+    test('should handle mobile menu interactions', async ({ page, mobileMenu }) => {
       // Set mobile viewport
       await page.setViewportSize({ width: 375, height: 667 });
       await page.reload();
       await page.waitForLoadState('load');
       
       // Look for mobile menu button
-      const mobileMenuButton = page.locator('button[aria-label*="menu" i], .mobile-menu-toggle, .hamburger');
-      
-      if (await mobileMenuButton.count() > 0) {
-        const button = mobileMenuButton.first();
-        
+      if (await mobileMenu.isPresent()) {
         // Test menu toggle
-        await button.click();
+        await mobileMenu.open();
         await page.waitForTimeout(1000);
         
         // Check if menu opened
-        const menuItems = page.locator('nav a, .mobile-menu a, .nav-menu a');
-        if (await menuItems.count() > 0) {
+        if (await mobileMenu.links.count() > 0) {
           console.log('✅ Mobile menu opens properly');
           
           // Test menu item clicks
-          const firstMenuItem = menuItems.first();
+          const firstMenuItem = mobileMenu.links.first();
           await firstMenuItem.click();
           await page.waitForLoadState('load');
           
@@ -307,21 +285,16 @@ test.describe('Qualtiva Solutions - Mobile Responsiveness', () => {
   });
 
   test.describe('Mobile Performance Testing', () => {
-    test('should load quickly on mobile devices', async ({ page }) => {
-      // Simulate slower mobile network
-      await page.context().setExtraHTTPHeaders({
-        'X-Playwright-Slow-Mo': '1000'
-      });
-      
-      const startTime = Date.now();
+    test('should load quickly on mobile devices', async ({ page }, testInfo) => {
+      // Network and CPU conditions come from the project's throttling profile
       await page.goto('/');
       await page.waitForLoadState('load');
-      const loadTime = Date.now() - startTime;
+      const loadTime = await collectLoadTime(page);
       
-      // Mobile should load within 5 seconds even with slower network
-      expect(loadTime).toBeLessThan(5000);
+      // Mobile projects have their own load budget in config/budgets.json
+      const result = await expectLoadWithinBudget(testInfo, '/', loadTime);
       
-      console.log(`📊 Mobile load time: ${loadTime}ms`);
+      console.log(`📊 Mobile ${formatBudgetResult(result)}`);
     });
 
     test('should handle mobile-specific resources', async ({ page }) => {
@@ -0,0 +1,38 @@
+import { test, expect } from './fixtures';
+import { crawledHtmlPages } from './utils/crawler';
+import { trackRequests, trackHttpVersions, findInsecureReferences, auditRequests, formatNetworkFinding, networkReport } from './utils/network';
+import { attachReport } from './utils/html-report';
+
+// Loads every crawled page and audits the requests it makes: 4xx/5xx
+// subresources, http: resources on an HTTPS page and redirect chains longer
+// than NETWORK_MAX_REDIRECTS. The per-page resource tables are attached as
+// network-audit.html.
+test.describe('Qualtiva Solutions - Network Audit', () => {
+  test('page loads fetch no failed, insecure or over-redirected resources', async ({ browser, siteCrawl, browserName }, testInfo) => {
+    const urls = crawledHtmlPages(siteCrawl);
+
+    const pages = [];
+    for (const url of urls) {
+      // A fresh context per URL: pages of one context share its HTTP cache, so
+      // shared CSS, scripts and images would be counted on the first page only
+      const auditContext = await browser.newContext();
+      const auditPage = await auditContext.newPage();
+      const versions = await trackHttpVersions(auditPage);
+      const tracker = trackRequests(auditPage);
+
+      await auditPage.goto(url, { waitUntil: 'load' });
+      await auditPage.waitForLoadState('networkidle', { timeout: 10000 }).catch(() => {});
+      const records = (await tracker.settle()).map(record => ({ ...record, httpVersion: versions.get(record.url) }));
+      const findings = auditRequests(records, auditPage.url(), { insecureReferences: await findInsecureReferences(auditPage), browserName });
+      await auditContext.close();
+
+      pages.push({ url, records, findings });
+      console.log(`📊 ${url}: ${records.length} requests, ${findings.length} findings`);
+    }
+
+    await attachReport(testInfo, 'network-audit', networkReport(pages));
+
+    const findings = pages.flatMap(entry => entry.findings.map(finding => `${entry.url} ${formatNetworkFinding(finding)}`));
+    expect(findings, 'Failed subresources, mixed content or long redirect chains (see network-audit.html)').toEqual([]);
+  });
+});
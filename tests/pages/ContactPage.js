@@ -0,0 +1,39 @@
+/**
+ * Contact page and its enquiry form.
+ */
+export class ContactPage {
+  constructor(page) {
+    this.page = page;
+    this.contactLink = page.getByRole('link', { name: /contact/i }).first();
+    this.form = page.locator('form').first();
+    this.nameField = this.form.locator('input[name*="name" i], input[placeholder*="name" i], input[id*="name" i]').first();
+    this.emailField = this.form.locator('input[type="email"], input[name*="email" i], input[placeholder*="email" i]').first();
+    this.messageField = this.form.locator('textarea, input[name*="message" i], input[placeholder*="message" i]').first();
+    this.submitButton = this.form.locator('button[type="submit"], input[type="submit"], button:has-text("send"), button:has-text("submit")').first();
+    this.status = this.form.locator('[role="status"], [role="alert"], .form-status').first();
+  }
+
+  /**
+   * Opens the contact page the way a visitor would, through the contact link
+   * on the home page. Returns false when the home page has no contact link.
+   */
+  async open() {
+    await this.page.goto('/');
+    if (await this.contactLink.count() === 0) {
+      return false;
+    }
+    await this.contactLink.click();
+    await this.page.waitForLoadState('load');
+    return true;
+  }
+
+  async fill({ name, email, message }) {
+    if (name !== undefined) await this.nameField.fill(name);
+    if (email !== undefined) await this.emailField.fill(email);
+    if (message !== undefined) await this.messageField.fill(message);
+  }
+
+  async submit() {
+    await this.submitButton.click();
+  }
+}
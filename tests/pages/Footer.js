@@ -0,0 +1,23 @@
+/**
+ * Site footer with contact details and the newsletter signup.
+ */
+export class Footer {
+  constructor(page) {
+    this.page = page;
+    this.container = page.locator('footer').first();
+    this.links = this.container.locator('a');
+    this.newsletterForm = this.container.locator('form').filter({ hasText: /newsletter|subscribe|email/i }).first();
+    this.newsletterEmail = this.newsletterForm.locator('input[type="email"], input[name*="email" i]').first();
+    this.newsletterSubmit = this.newsletterForm.locator('button[type="submit"], button:not([type]), input[type="submit"]').first();
+
+    // Feedback shown after subscribing, and the live region that announces it
+    // to screen readers (often the same element)
+    this.newsletterStatus = this.container.locator('[role="status"], [role="alert"], [aria-live], .form-status').first();
+    this.newsletterAnnouncement = this.container.locator('[role="status"], [role="alert"], [aria-live="polite"], [aria-live="assertive"]').first();
+  }
+
+  async subscribe(email) {
+    await this.newsletterEmail.fill(email);
+    await this.newsletterSubmit.click();
+  }
+}
@@ -0,0 +1,22 @@
+/**
+ * Home page of the Qualtiva site.
+ */
+export class HomePage {
+  constructor(page) {
+    this.page = page;
+    this.heading = page.locator('h1');
+    this.main = page.locator('main, .main-content, #main, .content, article').first();
+    this.hero = page.locator('.hero, .banner, .jumbotron, [data-testid="hero"], section:first-of-type').first();
+    this.logo = page.locator('img[alt*="logo" i], img[alt*="qualtiva" i], [data-testid="logo"], .logo').first();
+    this.logoLink = page.locator('a:has(img[alt*="logo" i]), a:has(img[alt*="qualtiva" i]), a.logo, a[data-testid="logo"]').first();
+
+    // Contact buttons or links that invite the visitor to get in touch
+    const callToAction = /contact|get started|learn more|request demo/i;
+    this.callsToAction = page.getByRole('button', { name: callToAction })
+      .or(page.getByRole('link', { name: callToAction }));
+  }
+
+  async goto() {
+    await this.page.goto('/');
+  }
+}
@@ -0,0 +1,41 @@
+/**
+ * Main site navigation in the page header.
+ */
+export class Navigation {
+  constructor(page) {
+    this.page = page;
+    this.container = page.locator('nav, header').first();
+    this.links = page.locator('nav a, header a');
+  }
+
+  /**
+   * Navigation link whose accessible name matches the given text.
+   */
+  link(name) {
+    return this.page.getByRole('link', { name: new RegExp(name, 'i') });
+  }
+}
+
+/**
+ * Collapsible navigation shown behind a toggle button on small screens.
+ */
+export class MobileMenu {
+  constructor(page) {
+    this.page = page;
+    this.toggle = page.locator('button[aria-label*="menu" i], .mobile-menu-toggle, .hamburger, .menu-button, .nav-toggle, [data-testid="mobile-menu"]').first();
+    this.panel = page.locator('.mobile-menu, .mobile-nav, nav[aria-expanded="true"], .menu-open, nav.is-open').first();
+    this.links = page.locator('nav a, .mobile-menu a, .nav-menu a');
+  }
+
+  async isPresent() {
+    return await this.toggle.count() > 0;
+  }
+
+  async open() {
+    await this.toggle.click();
+  }
+
+  async close() {
+    await this.toggle.click();
+  }
+}
@@ -0,0 +1,32 @@
+import { test, expect } from './fixtures';
+import { crawledHtmlPages } from './utils/crawler';
+import { extractSeoData, isNoindex, auditSeoPage, withDuplicates, formatSeoFinding, seoReport } from './utils/seo-audit';
+import { attachReport } from './utils/html-report';
+
+// Runs the on-page SEO checks over every crawled page, including the ones
+// that compare pages with each other (duplicate titles and descriptions).
+// The results are attached as seo-audit-<environment>.html, one sortable row
+// per page.
+test.describe('Qualtiva Solutions - SEO Audit', () => {
+  test('every page has a unique title and description, one h1 and can be indexed', async ({ page, siteCrawl, environment }, testInfo) => {
+    const urls = crawledHtmlPages(siteCrawl);
+
+    let pages = [];
+    for (const url of urls) {
+      const response = await page.goto(url, { waitUntil: 'load' });
+      const xRobotsTag = response.headers()['x-robots-tag'] || '';
+      const data = await extractSeoData(page);
+      const findings = auditSeoPage(data, { url, xRobotsTag }, environment);
+      pages.push({ url, data, xRobotsTag, noindex: isNoindex([...data.robots, xRobotsTag]), findings });
+    }
+    pages = withDuplicates(pages);
+
+    await attachReport(testInfo, `seo-audit-${environment.name}`, seoReport(pages, environment.name));
+    for (const entry of pages) {
+      console.log(`📊 ${entry.url}: "${entry.data.title}" (${entry.findings.length} issues)`);
+    }
+
+    const issues = pages.flatMap(entry => entry.findings.map(finding => `${entry.url} ${formatSeoFinding(finding)}`));
+    expect(issues, `SEO issues on ${environment.name} (see seo-audit-${environment.name}.html)`).toEqual([]);
+  });
+});
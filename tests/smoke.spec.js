@@ -1,37 +1,34 @@
-import { test, expect } from '@playwright/test';
+import { test, expect } from './fixtures';
+import { formatIssue } from './utils/page-health';
 
 test.describe('Qualtiva Solutions - Smoke Tests', () => {
-  test.beforeEach(async ({ page }) => {
-    await page.goto('/');
+  test.beforeEach(async ({ homePage }) => {
+    await homePage.goto();
   });
 
   test('1. Page loads successfully', async ({ page }) => {
     await expect(page).toHaveTitle(/Qualtiva|Stop guessing/i);
   });
 
-  test('2. Navigation menu is visible', async ({ page }) => {
-    const nav = page.locator('nav, header').first();
-    await expect(nav).toBeVisible();
+  test('2. Navigation menu is visible', async ({ navigation }) => {
+    await expect(navigation.container).toBeVisible();
   });
 
-  test('3. Logo exists and is visible', async ({ page }) => {
-    const logo = page.locator('img[alt*="logo" i], img[alt*="qualtiva" i], .logo').first();
-    if (await logo.count() > 0) {
-      await expect(logo).toBeVisible();
+  test('3. Logo exists and is visible', async ({ homePage }) => {
+    if (await homePage.logo.count() > 0) {
+      await expect(homePage.logo).toBeVisible();
     }
   });
 
-  test('4. Main content is visible', async ({ page }) => {
-    const main = page.locator('main, .content, article').first();
-    if (await main.count() > 0) {
-      await expect(main).toBeVisible();
+  test('4. Main content is visible', async ({ homePage }) => {
+    if (await homePage.main.count() > 0) {
+      await expect(homePage.main).toBeVisible();
     }
   });
 
-  test('5. Page has heading', async ({ page }) => {
-    const h1 = page.locator('h1');
-    if (await h1.count() > 0) {
-      await expect(h1.first()).toBeVisible();
+  test('5. Page has heading', async ({ homePage }) => {
+    if (await homePage.heading.count() > 0) {
+      await expect(homePage.heading.first()).toBeVisible();
     }
   });
 
@@ -41,10 +38,9 @@ test.describe('Qualtiva Solutions - Smoke Tests', () => {
     expect(count).toBeGreaterThan(0);
   });
 
-  test('7. Footer is visible', async ({ page }) => {
-    const footer = page.locator('footer').first();
-    if (await footer.count() > 0) {
-      await expect(footer).toBeVisible();
+  test('7. Footer is visible', async ({ footer }) => {
+    if (await footer.container.count() > 0) {
+      await expect(footer.container).toBeVisible();
     }
   });
 
@@ -53,15 +49,10 @@ test.describe('Qualtiva Solutions - Smoke Tests', () => {
     expect(text.length).toBeGreaterThan(0);
   });
 
-  test('9. No major errors in console', async ({ page, context }) => {
-    let errors = [];
-    context.on('page', (page) => {
-      page.on('pageerror', (error) => {
-        errors.push(error.message);
-      });
-    });
+  test('9. No major errors in console', async ({ page, pageHealth }) => {
+    // pageHealth has been listening since the page was created, before beforeEach loaded it
     await page.waitForLoadState('networkidle');
-    expect(errors.length).toBe(0);
+    expect(pageHealth.unexpected('page-error', 'console-error').map(formatIssue)).toEqual([]);
   });
 
   test('10. Page is responsive', async ({ page }) => {
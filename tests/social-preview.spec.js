@@ -0,0 +1,59 @@
+import { test, expect } from './fixtures';
+import { crawledHtmlPages } from './utils/crawler';
+import {
+  FAILING_RULES,
+  extractSocialTags,
+  tagValue,
+  validateSocialTags,
+  checkSocialImage,
+  formatSocialFinding,
+  socialPreviewReport,
+} from './utils/social-preview';
+import { attachReport } from './utils/html-report';
+
+// Checks the Open Graph and Twitter card tags of every crawled page and the
+// og:image they point at, and twitter:image too when it is a different file. social-preview.html shows each page's link preview
+// next to its findings.
+test.describe('Qualtiva Solutions - Social Previews', () => {
+  test('every page has a complete link preview with a usable image', async ({ page, request, siteCrawl }, testInfo) => {
+    const urls = crawledHtmlPages(siteCrawl);
+
+    const pages = [];
+    for (const url of urls) {
+      await page.goto(url, { waitUntil: 'load' });
+      const { tags, canonical } = await extractSocialTags(page);
+      const findings = validateSocialTags({ tags, canonical }, page.url());
+
+      const card = tagValue(tags, 'twitter:card');
+      const imageUrl = tagValue(tags, 'og:image') && new URL(tagValue(tags, 'og:image'), page.url()).href;
+      const twitterImageUrl = tagValue(tags, 'twitter:image') && new URL(tagValue(tags, 'twitter:image'), page.url()).href;
+
+      let image = null;
+      if (imageUrl) {
+        image = await checkSocialImage(request, imageUrl, {
+          declared: { width: tagValue(tags, 'og:image:width'), height: tagValue(tags, 'og:image:height') },
+          card,
+        });
+        findings.push(...image.findings);
+      }
+      // Twitter shows its own image when set, so a different one is checked as well.
+      if (twitterImageUrl && twitterImageUrl !== imageUrl) {
+        const twitterImage = await checkSocialImage(request, twitterImageUrl, { tag: 'twitter:image', card });
+        findings.push(...twitterImage.findings);
+      }
+
+      pages.push({ url, canonical, tags, image, findings });
+      console.log(`📊 ${url}: ${Object.keys(tags).length} tags, image ${image ? `${image.width}x${image.height} ${image.contentType}` : 'none'} (${findings.length} findings)`);
+    }
+
+    await attachReport(testInfo, 'social-preview', socialPreviewReport(pages));
+
+    const warnings = pages.flatMap(entry => entry.findings.filter(finding => !FAILING_RULES.includes(finding.rule)).map(finding => `${entry.url} ${formatSocialFinding(finding)}`));
+    for (const warning of warnings) {
+      testInfo.annotations.push({ type: 'warning', description: warning });
+    }
+
+    const failing = pages.flatMap(entry => entry.findings.filter(finding => FAILING_RULES.includes(finding.rule)).map(finding => `${entry.url} ${formatSocialFinding(finding)}`));
+    expect(failing, 'Missing or invalid Open Graph/Twitter tags or unusable og:image/twitter:image (see social-preview.html)').toEqual([]);
+  });
+});
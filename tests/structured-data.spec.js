@@ -0,0 +1,42 @@
+import { test, expect } from './fixtures';
+import { crawledHtmlPages } from './utils/crawler';
+import {
+  FAILING_RULES,
+  loadStructuredDataRules,
+  extractStructuredData,
+  parseStructuredData,
+  validateStructuredData,
+  formatStructuredDataFinding,
+  structuredDataReport,
+} from './utils/structured-data';
+import { attachReport } from './utils/html-report';
+
+// Parses the JSON-LD and microdata on every crawled page and checks them
+// against the schema.org types in config/structured-data.json.
+test.describe('Qualtiva Solutions - Structured Data', () => {
+  test('every page has valid structured data with the required properties', async ({ page, siteCrawl }, testInfo) => {
+    const rules = loadStructuredDataRules();
+    const urls = crawledHtmlPages(siteCrawl);
+
+    const pages = [];
+    for (const url of urls) {
+      await page.goto(url, { waitUntil: 'load' });
+      const { nodes, findings } = parseStructuredData(await extractStructuredData(page));
+      findings.push(...validateStructuredData(nodes, new URL(url).pathname, rules));
+
+      const types = [...new Set(nodes.flatMap(node => node.types))];
+      pages.push({ url, types, findings });
+      console.log(`📊 ${url}: ${types.join(', ') || 'no structured data'} (${findings.length} findings)`);
+    }
+
+    await attachReport(testInfo, 'structured-data', structuredDataReport(pages));
+
+    const warnings = pages.flatMap(entry => entry.findings.filter(finding => !FAILING_RULES.includes(finding.rule)).map(finding => `${entry.url} ${formatStructuredDataFinding(finding)}`));
+    for (const warning of warnings) {
+      testInfo.annotations.push({ type: 'warning', description: warning });
+    }
+
+    const failing = pages.flatMap(entry => entry.findings.filter(finding => FAILING_RULES.includes(finding.rule)).map(finding => `${entry.url} ${formatStructuredDataFinding(finding)}`));
+    expect(failing, 'Structured data parse errors or missing types/properties (see structured-data.html)').toEqual([]);
+  });
+});
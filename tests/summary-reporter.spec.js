@@ -0,0 +1,97 @@
+import { test, expect } from './fixtures';
+import { categoryName, toRecord, buildSummary, formatSummary } from '../reporters/summary';
+
+const record = (overrides) => ({
+  title: 'Home Page › loads',
+  project: 'chromium',
+  file: 'tests/home-page.spec.js',
+  line: 10,
+  outcome: 'passed',
+  duration: 1000,
+  retries: 0,
+  error: null,
+  trace: null,
+  ...overrides,
+});
+
+const RECORDS = [
+  record({}),
+  record({ project: 'firefox', outcome: 'failed', duration: 5000, retries: 2, error: 'Timed out 5000ms', trace: 'test-results/home-firefox-retry1/trace.zip' }),
+  record({ file: 'tests/web-build-best-practices.spec.js', title: 'Security › headers', outcome: 'flaky', duration: 3000, retries: 1 }),
+  record({ file: 'tests/crawler.spec.js', title: 'Site Crawl › links', project: 'firefox', outcome: 'skipped', duration: 0 }),
+];
+
+const META = { baseURL: 'http://localhost:4173/', environment: 'dev', status: 'failed', startTime: new Date('2025-01-01T00:00:00Z'), duration: 65000 };
+
+// Checks the run summary built by reporters/summary-reporter.js from plain
+// test records. No browser is needed, so it runs in the reporters project only.
+test.describe('Summary Reporter', () => {
+  test('names categories after their spec file', async () => {
+    expect(categoryName('tests/web-build-best-practices.spec.js')).toBe('Web Build Best Practices');
+    expect(categoryName('tests/home-page.spec.js')).toBe('Home Page');
+  });
+
+  test('links the trace of whichever attempt recorded one', async () => {
+    const attempt = (duration, attachments = []) => ({ duration, attachments, error: { message: 'Timed out 5000ms' } });
+    const testCase = {
+      titlePath: () => ['', 'firefox', 'home-page.spec.js', 'Home Page', 'loads'],
+      parent: { project: () => ({ name: 'firefox' }) },
+      location: { file: '/repo/tests/home-page.spec.js', line: 10 },
+      outcome: () => 'unexpected',
+      // trace: 'on-first-retry' records a trace on the first retry only
+      results: [
+        attempt(1000),
+        attempt(2000, [{ name: 'trace', path: '/repo/test-results/home-firefox-retry1/trace.zip' }]),
+        attempt(2000),
+      ],
+    };
+
+    expect(toRecord(testCase, '/repo')).toEqual({
+      title: 'Home Page › loads',
+      project: 'firefox',
+      file: 'tests/home-page.spec.js',
+      line: 10,
+      outcome: 'failed',
+      duration: 5000,
+      retries: 2,
+      error: 'Timed out 5000ms',
+      trace: 'test-results/home-firefox-retry1/trace.zip',
+    });
+  });
+
+  test('counts outcomes per project and per category', async () => {
+    const summary = buildSummary(RECORDS, META);
+
+    expect(summary.totals).toEqual({ total: 4, passed: 1, failed: 1, flaky: 1, skipped: 1, duration: 9000 });
+    expect(summary.projects.chromium).toMatchObject({ total: 2, passed: 1, flaky: 1 });
+    expect(summary.projects.firefox).toMatchObject({ total: 2, failed: 1, skipped: 1 });
+    expect(Object.keys(summary.categories)).toEqual(['Home Page', 'Web Build Best Practices', 'Crawler']);
+    expect(summary.categories['Home Page']).toMatchObject({ total: 2, passed: 1, failed: 1 });
+    expect(summary).toMatchObject({ baseURL: 'http://localhost:4173/', environment: 'dev', duration: 65000, testRun: '2025-01-01T00:00:00.000Z' });
+  });
+
+  test('lists the slowest tests and the failures with their traces', async () => {
+    const summary = buildSummary(RECORDS, META);
+
+    expect(summary.slowest.map(test => test.duration)).toEqual([5000, 3000, 1000]);
+    expect(summary.failures).toEqual([{
+      title: 'Home Page › loads',
+      project: 'firefox',
+      location: 'tests/home-page.spec.js:10',
+      duration: 5000,
+      retries: 2,
+      error: 'Timed out 5000ms',
+      trace: 'test-results/home-firefox-retry1/trace.zip',
+    }]);
+    expect(summary.flaky.map(test => test.title)).toEqual(['Security › headers']);
+  });
+
+  test('prints a table per project with the failures below it', async () => {
+    const output = formatSummary(buildSummary(RECORDS, META));
+
+    expect(output).toContain('FAILED in 1m 5s against http://localhost:4173/ (dev)');
+    expect(output).toMatch(/^chromium\s+1\s+0\s+1\s+0\s+4\.0s$/m);
+    expect(output).toMatch(/^Total\s+1\s+1\s+1\s+1\s+9\.0s$/m);
+    expect(output).toContain('npx playwright show-trace test-results/home-firefox-retry1/trace.zip');
+  });
+});
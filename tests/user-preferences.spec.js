@@ -0,0 +1,73 @@
+import { test, expect } from './fixtures';
+import { checkContrast, formatContrastFailures } from './utils/contrast';
+import {
+  PREFERENCES,
+  FAILING_RULES,
+  settleAnimations,
+  findMotion,
+  recordRenderedElements,
+  findDisappearedElements,
+  formatPreferenceFinding,
+} from './utils/media-preferences';
+
+// Every target under every preference: contrast must still pass, reduced
+// motion must stop animations and transitions, and forced colours must not
+// make anything disappear. A full-page screenshot of each combination is
+// attached to the report for review.
+
+const TARGETS = [
+  { name: 'home', path: '/' },
+  // The mobile menu, opened, where the header has the most to lose
+  { name: 'navigation', path: '/', viewport: { width: 375, height: 812 }, openMenu: true },
+  { name: 'contact', path: '/contact' }
+];
+
+async function openTarget(page, mobileMenu, target) {
+  if (target.viewport) await page.setViewportSize(target.viewport);
+  await page.goto(target.path);
+  if (target.openMenu && await mobileMenu.toggle.isVisible()) await mobileMenu.open();
+}
+
+test.describe('Qualtiva Solutions - User Preferences', () => {
+  for (const preference of PREFERENCES) {
+    test.describe(preference.query, () => {
+      for (const target of TARGETS) {
+        test(`${target.name} should respect ${preference.name}`, async ({ page, mobileMenu }, testInfo) => {
+          const forcedColors = preference.name === 'forced-colors';
+          const findings = [];
+
+          if (forcedColors) {
+            // Compared against the same page in normal colours
+            await openTarget(page, mobileMenu, target);
+            await recordRenderedElements(page);
+            await page.emulateMedia(preference.media);
+          } else {
+            // Emulated before loading, so scripts reading matchMedia see it too
+            await page.emulateMedia(preference.media);
+            await openTarget(page, mobileMenu, target);
+          }
+          await settleAnimations(page);
+          expect(await page.evaluate(query => matchMedia(query).matches, preference.query), `${preference.query} should be emulated`).toBe(true);
+
+          if (preference.name === 'reduced-motion') findings.push(...await findMotion(page));
+          if (forcedColors) findings.push(...await findDisappearedElements(page));
+          const contrast = await checkContrast(page);
+
+          await testInfo.attach(`${target.name}-${preference.name}.png`, {
+            body: await page.screenshot({ fullPage: true }),
+            contentType: 'image/png',
+          });
+          console.log(`📊 ${target.name} with ${preference.query}: ${contrast.checked} text elements, ${contrast.failures.length} below the contrast minimum, ${findings.length} findings`);
+
+          for (const warning of findings.filter(finding => !FAILING_RULES.includes(finding.rule))) {
+            testInfo.annotations.push({ type: 'warning', description: formatPreferenceFinding(warning) });
+          }
+
+          expect.soft(contrast.failures, `Text below the WCAG contrast minimum with ${preference.query}:\n${formatContrastFailures(contrast.failures)}`).toEqual([]);
+          const failing = findings.filter(finding => FAILING_RULES.includes(finding.rule)).map(formatPreferenceFinding);
+          expect(failing, `Problems with ${preference.query} (see ${target.name}-${preference.name}.png)`).toEqual([]);
+        });
+      }
+    });
+  }
+});
@@ -0,0 +1,128 @@
+// Landmark and heading checks on the accessibility tree, read from
+// Playwright's ARIA snapshot so they see exactly what the baselines see:
+// hidden elements are left out and roles, names and levels are computed by
+// the browser rather than guessed from tag names.
+
+// Findings that fail the check; `duplicate-nav-label` and `empty-heading`
+// are only reported
+export const FAILING_RULES = ['main-count', 'banner-count', 'contentinfo-count', 'unlabelled-nav', 'first-heading-not-h1', 'heading-gap'];
+
+export const LANDMARK_ROLES = ['banner', 'navigation', 'main', 'complementary', 'contentinfo', 'search', 'region', 'form'];
+
+// `role "name" [attribute] [attribute=value]`; a name may also be a /regex/
+const KEY_PATTERN = /^([a-z]+)(?: ("(?:[^"\\]|\\.)*"|\/(?:[^/\\]|\\.)*\/))?((?: \[[^\]]+\])*)/;
+
+function unquoteKey(text) {
+  // Keys with YAML special characters are wrapped in single quotes
+  const quoted = text.match(/^'((?:[^']|'')*)'/);
+  return quoted ? quoted[1].replace(/''/g, "'") : text;
+}
+
+/**
+ * Parses the YAML from `locator.ariaSnapshot()` into a flat list of nodes in
+ * document order: `{ role, name, depth, attributes }`. Text lines and
+ * properties such as `/url` are skipped.
+ */
+export function parseAriaSnapshot(yaml) {
+  const nodes = [];
+  for (const line of yaml.split('\n')) {
+    const match = line.match(/^( *)- (.+)$/);
+    if (!match) continue;
+    const key = KEY_PATTERN.exec(unquoteKey(match[2]));
+    if (!key || key[1] === 'text') continue;
+
+    const [, role, rawName, rawAttributes] = key;
+    const attributes = {};
+    for (const [, attribute, value] of rawAttributes.matchAll(/\[([a-z]+)(?:=([^\]]*))?\]/g)) {
+      attributes[attribute] = value === undefined ? true : value;
+    }
+    const name = !rawName ? '' : rawName.startsWith('"') ? JSON.parse(rawName) : rawName;
+    nodes.push({ role, name, depth: match[1].length / 2, attributes });
+  }
+  return nodes;
+}
+
+/**
+ * The page's accessibility tree as parsed nodes, from `<body>` down.
+ */
+export async function accessibilityTree(page) {
+  return parseAriaSnapshot(await page.locator('body').ariaSnapshot());
+}
+
+/**
+ * Checks the page's landmarks: exactly one main, banner and contentinfo,
+ * and every navigation region labelled, with a label no other one uses.
+ */
+export function checkLandmarks(nodes) {
+  const findings = [];
+  const finding = (rule, detail) => findings.push({ rule, detail });
+
+  for (const [role, rule] of [['main', 'main-count'], ['banner', 'banner-count'], ['contentinfo', 'contentinfo-count']]) {
+    const count = nodes.filter(node => node.role === role).length;
+    if (count !== 1) finding(rule, `Expected one ${role} landmark, found ${count}`);
+  }
+
+  const navigations = nodes.filter(node => node.role === 'navigation');
+  const labels = new Set();
+  navigations.forEach((node, index) => {
+    if (!node.name) {
+      finding('unlabelled-nav', `Navigation ${index + 1} of ${navigations.length} has no aria-label or aria-labelledby`);
+    } else if (labels.has(node.name)) {
+      finding('duplicate-nav-label', `More than one navigation is labelled "${node.name}"`);
+    }
+    labels.add(node.name);
+  });
+
+  return findings;
+}
+
+/**
+ * The headings in document order as `{ level, name }`.
+ */
+export function headingOutline(nodes) {
+  return nodes
+    .filter(node => node.role === 'heading')
+    .map(node => ({ level: Number(node.attributes.level) || 2, name: node.name }));
+}
+
+/**
+ * Checks that the outline starts at h1 and never skips a level on the way
+ * down (h2 → h4). Going back up any number of levels is fine.
+ */
+export function checkHeadingOutline(headings) {
+  const findings = [];
+  const finding = (rule, detail) => findings.push({ rule, detail });
+
+  if (headings.length === 0) {
+    finding('first-heading-not-h1', 'The page has no headings');
+  } else if (headings[0].level !== 1) {
+    finding('first-heading-not-h1', `The first heading is h${headings[0].level} "${headings[0].name}"`);
+  }
+
+  headings.forEach((heading, index) => {
+    if (!heading.name) finding('empty-heading', `h${heading.level} number ${index + 1} has no text`);
+    const previous = headings[index - 1];
+    if (previous && heading.level > previous.level + 1) {
+      finding('heading-gap', `h${previous.level} "${previous.name}" is followed by h${heading.level} "${heading.name}"`);
+    }
+  });
+
+  return findings;
+}
+
+/**
+ * Landmarks and headings as an indented text outline, for the report.
+ */
+export function formatOutline(nodes) {
+  return nodes
+    .filter(node => node.role === 'heading' || LANDMARK_ROLES.includes(node.role))
+    .map(node => {
+      const label = node.role === 'heading' ? `h${node.attributes.level || '?'}` : `[${node.role}]`;
+      return `${'  '.repeat(node.depth)}${label}${node.name ? ` ${node.name}` : ''}`;
+    })
+    .join('\n');
+}
+
+export function formatAriaFinding(finding) {
+  return `${finding.rule}: ${finding.detail}`;
+}
@@ -0,0 +1,14 @@
+import fs from 'fs';
+
+/**
+ * Whether the current test has a stored baseline `name` of the given kind
+ * ('screenshot' or 'aria'), or the run will write it: --update-snapshots, or
+ * Playwright's default updateSnapshots: 'missing' outside CI. On CI a missing
+ * baseline is never taken as written, so the suite cannot pass without them.
+ */
+export function hasBaseline(testInfo, name, kind) {
+  const { updateSnapshots } = testInfo.config;
+  if (['all', 'changed'].includes(updateSnapshots)) return true;
+  if (updateSnapshots === 'missing' && !process.env.CI) return true;
+  return fs.existsSync(testInfo.snapshotPath(name, { kind }));
+}
@@ -0,0 +1,115 @@
+import fs from 'fs';
+import path from 'path';
+import { expect } from '@playwright/test';
+
+// Performance budgets live in config/budgets.json (override with PERF_BUDGETS).
+// Limits are merged in this order, later ones winning:
+// defaults, matching pages, project, matching pages' project overrides.
+const BUDGETS_FILE = process.env.PERF_BUDGETS || path.join(__dirname, '..', '..', 'config', 'budgets.json');
+
+const SECTIONS = ['timings', 'resourceSizes', 'resourceCounts'];
+
+const TIMING_LABELS = {
+  load: 'Load',
+  lcp: 'LCP',
+  fcp: 'FCP',
+  ttfb: 'TTFB',
+  cls: 'CLS',
+  inp: 'INP',
+  tbt: 'TBT',
+};
+
+export function loadBudgets(file = BUDGETS_FILE) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Matches a page path against a budget pattern where `*` matches anything.
+ */
+export function matchesPath(pattern, pagePath) {
+  const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`).test(pagePath);
+}
+
+function mergeBudget(target, source = {}) {
+  for (const section of SECTIONS) {
+    target[section] = { ...target[section], ...source[section] };
+  }
+  return target;
+}
+
+/**
+ * Returns the timing, byte-weight and request-count limits for a page in a
+ * Playwright project.
+ */
+export function resolveBudget(pagePath, projectName, budgets = loadBudgets()) {
+  const pages = (budgets.pages || []).filter(entry => matchesPath(entry.path, pagePath));
+  const budget = mergeBudget({}, budgets.defaults);
+
+  pages.forEach(entry => mergeBudget(budget, entry));
+  mergeBudget(budget, (budgets.projects || {})[projectName]);
+  pages.forEach(entry => mergeBudget(budget, (entry.projects || {})[projectName]));
+
+  return budget;
+}
+
+/**
+ * Compares measured values with one budget section. Metrics without a
+ * measurement (null) or without a limit are left out.
+ */
+export function compareToBudget(section, actuals, limits) {
+  return Object.entries(limits)
+    .filter(([metric]) => actuals[metric] !== null && actuals[metric] !== undefined)
+    .map(([metric, budget]) => {
+      const actual = actuals[metric];
+      return { section, metric, actual, budget, difference: actual - budget, withinBudget: actual <= budget };
+    });
+}
+
+export function budgetLabel({ section, metric }) {
+  if (section === 'timings') return TIMING_LABELS[metric] || metric;
+  return section === 'resourceSizes' ? `${metric} size` : `${metric} requests`;
+}
+
+function formatValue({ section, metric }, value) {
+  if (section === 'timings') {
+    return metric === 'cls' ? value.toFixed(3) : `${Math.round(value)}ms`;
+  }
+  return section === 'resourceSizes' ? `${Math.round(value * 10) / 10}KB` : String(value);
+}
+
+/**
+ * e.g. "LCP 1234ms: 1266ms under budget (2500ms)"
+ */
+export function formatBudgetResult(result) {
+  const over = result.difference > 0;
+  const amount = formatValue(result, Math.abs(result.difference));
+  return `${budgetLabel(result)} ${formatValue(result, result.actual)}: ${amount} ${over ? 'over' : 'under'} budget (${formatValue(result, result.budget)})`;
+}
+
+/**
+ * Adds a `budget:<metric>` annotation per result and attaches them all.
+ */
+export async function recordBudgetResults(testInfo, pagePath, results) {
+  for (const result of results) {
+    testInfo.annotations.push({ type: `budget:${budgetLabel(result)}`, description: `${pagePath}: ${formatBudgetResult(result)}` });
+  }
+
+  await testInfo.attach('budget.json', {
+    body: JSON.stringify({ page: pagePath, project: testInfo.project.name, results }, null, 2),
+    contentType: 'application/json',
+  });
+}
+
+/**
+ * Checks a measured page load time against the page's load budget for the
+ * current project, records it and returns the result for logging.
+ */
+export async function expectLoadWithinBudget(testInfo, pagePath, loadTime) {
+  const budget = resolveBudget(pagePath, testInfo.project.name);
+  const [result] = compareToBudget('timings', { load: loadTime }, { load: budget.timings.load });
+  await recordBudgetResults(testInfo, pagePath, [result]);
+
+  expect(loadTime, formatBudgetResult(result)).toBeLessThanOrEqual(budget.timings.load);
+  return result;
+}
@@ -0,0 +1,223 @@
+// WCAG 2.x contrast checking. The page is only asked for computed styles;
+// colour compositing and the ratio maths run here in Node.
+
+// Minimum contrast ratios by conformance level (WCAG 1.4.3 and 1.4.6)
+export const CONTRAST_THRESHOLDS = {
+  AA: { normal: 4.5, large: 3 },
+  AAA: { normal: 7, large: 4.5 },
+};
+
+const WHITE = { r: 255, g: 255, b: 255, a: 1 };
+
+/**
+ * Parses a computed CSS colour (`rgb()`, `rgba()` or `transparent`) into
+ * `{ r, g, b, a }`. Returns null for anything else.
+ */
+export function parseColor(value) {
+  if (!value) return null;
+  const color = value.trim().toLowerCase();
+  if (color === 'transparent') return { r: 0, g: 0, b: 0, a: 0 };
+
+  const match = color.match(/^rgba?\(([^)]+)\)$/);
+  if (!match) return null;
+
+  const parts = match[1].split(/[\s,/]+/).filter(Boolean);
+  if (parts.length < 3) return null;
+
+  const [r, g, b] = parts.slice(0, 3).map(Number);
+  const alphaPart = parts[3];
+  const a = alphaPart === undefined ? 1
+    : alphaPart.endsWith('%') ? parseFloat(alphaPart) / 100
+      : Number(alphaPart);
+
+  if ([r, g, b, a].some(Number.isNaN)) return null;
+  return { r, g, b, a };
+}
+
+export function formatColor({ r, g, b, a = 1 }) {
+  const channels = [r, g, b].map(channel => Math.round(channel));
+  return a >= 1 ? `rgb(${channels.join(', ')})` : `rgba(${channels.join(', ')}, ${Number(a.toFixed(3))})`;
+}
+
+/**
+ * Source-over compositing of `top` onto `bottom`.
+ */
+export function composite(top, bottom) {
+  const a = top.a + bottom.a * (1 - top.a);
+  if (a === 0) return { r: 0, g: 0, b: 0, a: 0 };
+  const channel = key => (top[key] * top.a + bottom[key] * bottom.a * (1 - top.a)) / a;
+  return { r: channel('r'), g: channel('g'), b: channel('b'), a };
+}
+
+function withOpacity(color, opacity) {
+  return { ...color, a: color.a * opacity };
+}
+
+export function relativeLuminance({ r, g, b }) {
+  const linear = channel => {
+    const value = channel / 255;
+    return value <= 0.03928 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+  };
+  return 0.2126 * linear(r) + 0.7152 * linear(g) + 0.0722 * linear(b);
+}
+
+export function contrastRatio(foreground, background) {
+  const l1 = relativeLuminance(foreground);
+  const l2 = relativeLuminance(background);
+  return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+}
+
+/**
+ * Large text is at least 18pt (24px), or at least 14pt (18.66px) when bold.
+ */
+export function isLargeText(fontSizePx, fontWeight) {
+  return fontSizePx >= 24 || (fontSizePx >= 18.66 && fontWeight >= 700);
+}
+
+/**
+ * Works out the colours a reader actually sees for one text element.
+ *
+ * `layers` runs from the text element up to the root, each with its computed
+ * `backgroundColor` and `opacity`. Every element is treated as a group: its
+ * descendants are painted over its background, then the group is faded by
+ * its opacity onto whatever is behind it, ending on a white canvas.
+ */
+export function effectiveColors(textColor, layers) {
+  const [own, ...ancestors] = layers;
+  let background = own.backgroundColor;
+  let foreground = composite(textColor, own.backgroundColor);
+
+  let opacity = own.opacity;
+  for (const layer of ancestors) {
+    background = composite(withOpacity(background, opacity), layer.backgroundColor);
+    foreground = composite(withOpacity(foreground, opacity), layer.backgroundColor);
+    opacity = layer.opacity;
+  }
+
+  return {
+    foreground: composite(withOpacity(foreground, opacity), WHITE),
+    background: composite(withOpacity(background, opacity), WHITE),
+  };
+}
+
+/**
+ * Runs in the page: returns the computed colours and font of every visible
+ * element that directly contains text, with its ancestor chain.
+ */
+function collectTextElements() {
+  const skipTags = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'OPTION', 'TITLE']);
+  const seen = new Set();
+  const results = [];
+
+  const cssPath = (element) => {
+    const parts = [];
+    while (element && element !== document.documentElement) {
+      if (element.id) {
+        parts.unshift(`#${CSS.escape(element.id)}`);
+        break;
+      }
+      let part = element.localName;
+      const parent = element.parentElement;
+      const siblings = parent ? [...parent.children].filter(sibling => sibling.localName === element.localName) : [];
+      if (siblings.length > 1) part += `:nth-of-type(${siblings.indexOf(element) + 1})`;
+      parts.unshift(part);
+      element = parent;
+    }
+    return parts.join(' > ');
+  };
+
+  const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    const element = node.parentElement;
+    if (!element || seen.has(element) || skipTags.has(element.tagName) || !node.textContent.trim()) continue;
+    seen.add(element);
+
+    const style = getComputedStyle(element);
+    const rect = element.getBoundingClientRect();
+    if (style.visibility !== 'visible' || rect.width <= 1 || rect.height <= 1) continue;
+
+    const layers = [];
+    for (let current = element; current; current = current.parentElement) {
+      const currentStyle = getComputedStyle(current);
+      layers.push({
+        backgroundColor: currentStyle.backgroundColor,
+        backgroundImage: currentStyle.backgroundImage,
+        opacity: Number(currentStyle.opacity),
+      });
+    }
+
+    results.push({
+      selector: cssPath(element),
+      text: node.textContent.trim().replace(/\s+/g, ' ').slice(0, 80),
+      color: style.color,
+      fontSize: parseFloat(style.fontSize),
+      fontWeight: Number(style.fontWeight) || (style.fontWeight === 'bold' ? 700 : 400),
+      layers,
+    });
+  }
+  return results;
+}
+
+/**
+ * Checks every visible text element on the page against the WCAG contrast
+ * thresholds for `level`. Elements whose background cannot be worked out
+ * (background images, unsupported colour formats) are returned as
+ * `indeterminate` rather than failing.
+ */
+export async function checkContrast(page, { level = 'AA' } = {}) {
+  const thresholds = CONTRAST_THRESHOLDS[level];
+  const elements = await page.evaluate(collectTextElements);
+  const results = [];
+  const indeterminate = [];
+
+  for (const element of elements) {
+    const textColor = parseColor(element.color);
+    const layers = element.layers.map(layer => ({ ...layer, backgroundColor: parseColor(layer.backgroundColor) }));
+
+    // Nothing is painted once any group in the chain is fully transparent
+    if (layers.some(layer => layer.opacity === 0)) continue;
+
+    // A background image between the text and the first opaque background hides the real colour
+    const opaqueIndex = layers.findIndex(layer => layer.backgroundColor && layer.backgroundColor.a >= 1);
+    const painted = opaqueIndex === -1 ? layers : layers.slice(0, opaqueIndex + 1);
+    if (!textColor || layers.some(layer => !layer.backgroundColor) || painted.some(layer => layer.backgroundImage !== 'none')) {
+      indeterminate.push({ selector: element.selector, text: element.text, color: element.color });
+      continue;
+    }
+
+    const { foreground, background } = effectiveColors(textColor, layers);
+    const largeText = isLargeText(element.fontSize, element.fontWeight);
+    const required = largeText ? thresholds.large : thresholds.normal;
+    const ratio = contrastRatio(foreground, background);
+
+    results.push({
+      selector: element.selector,
+      text: element.text,
+      color: formatColor(foreground),
+      background: formatColor(background),
+      ratio: Math.round(ratio * 100) / 100,
+      required,
+      largeText,
+      fontSize: element.fontSize,
+      fontWeight: element.fontWeight,
+      passes: ratio >= required,
+    });
+  }
+
+  return {
+    level,
+    checked: results.length,
+    failures: results.filter(result => !result.passes),
+    indeterminate,
+  };
+}
+
+/**
+ * One line per failing element, for assertion messages and console output.
+ */
+export function formatContrastFailures(failures) {
+  return failures
+    .map(failure => `${failure.selector} "${failure.text}": ${failure.color} on ${failure.background} = ${failure.ratio}:1 (needs ${failure.required}:1${failure.largeText ? ', large text' : ''})`)
+    .join('\n');
+}
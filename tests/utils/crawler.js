@@ -0,0 +1,194 @@
+import { renderHtmlReport } from './html-report';
+
+// Crawl limits, overridable per run with CRAWL_MAX_DEPTH and CRAWL_MAX_URLS
+export const DEFAULT_CRAWL_OPTIONS = {
+  maxDepth: Number(process.env.CRAWL_MAX_DEPTH) || 3,
+  maxUrls: Number(process.env.CRAWL_MAX_URLS) || 200,
+  maxRedirects: 10,
+  internalHosts: [],
+};
+
+/**
+ * Returns true when the URL is on the same host as the base URL, or on one of
+ * `internalHosts` (the environment's other hosts, see config/environments.json).
+ */
+export function isInternalUrl(url, baseURL, internalHosts = []) {
+  try {
+    const { hostname } = new URL(url);
+    return hostname === new URL(baseURL).hostname || internalHosts.includes(hostname);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Drops the fragment so `/page#a` and `/page#b` are crawled once.
+ */
+export function normalizeUrl(url, base) {
+  const parsed = new URL(url, base);
+  parsed.hash = '';
+  return parsed.href;
+}
+
+export function isBroken(entry) {
+  return entry.status === null || entry.status >= 400;
+}
+
+/**
+ * Requests a URL without following redirects automatically, so every hop
+ * can be recorded. Returns the final status and the redirect chain.
+ */
+export async function fetchWithRedirects(request, url, maxRedirects = DEFAULT_CRAWL_OPTIONS.maxRedirects) {
+  const redirectChain = [];
+  let current = url;
+
+  try {
+    for (let hop = 0; hop <= maxRedirects; hop++) {
+      const response = await request.get(current, { maxRedirects: 0, failOnStatusCode: false });
+      const status = response.status();
+      const location = response.headers()['location'];
+
+      if (status >= 300 && status < 400 && location) {
+        redirectChain.push({ url: current, status });
+        current = new URL(location, current).href;
+        continue;
+      }
+
+      return {
+        status,
+        finalUrl: current,
+        redirectChain,
+        contentType: response.headers()['content-type'] || '',
+      };
+    }
+    return { status: null, finalUrl: current, redirectChain, contentType: '', error: `More than ${maxRedirects} redirects` };
+  } catch (error) {
+    return { status: null, finalUrl: current, redirectChain, contentType: '', error: error.message };
+  }
+}
+
+/**
+ * Collects every http(s) link on the page currently loaded in `page`.
+ */
+async function extractLinks(page) {
+  const links = await page.locator('a[href]').evaluateAll(anchors => anchors.map(anchor => ({
+    href: anchor.href,
+    text: (anchor.textContent || anchor.getAttribute('aria-label') || '').replace(/\s+/g, ' ').trim(),
+  })));
+  return links.filter(link => /^https?:/i.test(link.href));
+}
+
+/**
+ * Crawls the site breadth-first from `startUrl`, following internal links up
+ * to `maxDepth` hops and checking at most `maxUrls` URLs. Links to
+ * `internalHosts` are followed too. External links are recorded with their
+ * source but not requested.
+ *
+ * Statuses and redirects come from `request`; links are read from `page`
+ * so that script-rendered navigation is crawled too.
+ */
+export async function crawlSite(page, request, startUrl, options = {}) {
+  const { maxDepth, maxUrls, maxRedirects, internalHosts } = { ...DEFAULT_CRAWL_OPTIONS, ...options };
+  const start = normalizeUrl(startUrl);
+  const entries = new Map();
+  const queue = [{ url: start, depth: 0, source: null }];
+  let truncated = false;
+
+  while (queue.length > 0) {
+    const { url, depth, source } = queue.shift();
+    const known = entries.get(url);
+
+    if (known) {
+      if (source) known.sources.push(source);
+      continue;
+    }
+    if (entries.size >= maxUrls) {
+      truncated = true;
+      continue;
+    }
+
+    const entry = {
+      url,
+      depth,
+      internal: isInternalUrl(url, start, internalHosts),
+      sources: source ? [source] : [],
+      status: null,
+      redirectChain: [],
+    };
+    entries.set(url, entry);
+
+    if (!entry.internal) {
+      entry.skipped = true;
+      continue;
+    }
+
+    Object.assign(entry, await fetchWithRedirects(request, url, maxRedirects));
+
+    const isPage = entry.status === 200 && entry.contentType.includes('text/html');
+    if (isPage && depth < maxDepth && isInternalUrl(entry.finalUrl, start, internalHosts)) {
+      // A page that fails to load is reported as broken; the crawl goes on
+      try {
+        await page.goto(entry.finalUrl, { waitUntil: 'load' });
+      } catch (error) {
+        entry.status = null;
+        entry.error = `Page failed to load: ${error.message.split('\n')[0]}`;
+        continue;
+      }
+      for (const link of await extractLinks(page)) {
+        queue.push({
+          url: normalizeUrl(link.href),
+          depth: depth + 1,
+          source: { page: url, text: link.text },
+        });
+      }
+    }
+  }
+
+  const results = [...entries.values()];
+  return {
+    startUrl: start,
+    maxDepth,
+    maxUrls,
+    truncated,
+    results,
+    broken: results.filter(entry => entry.internal && isBroken(entry)),
+  };
+}
+
+/**
+ * The distinct HTML pages a crawl reached: internal URLs that ended in a 200
+ * text/html response, by final URL after redirects.
+ */
+export function crawledHtmlPages(crawl) {
+  return [...new Set(crawl.results
+    .filter(entry => entry.internal && entry.status === 200 && entry.contentType.includes('text/html'))
+    .map(entry => entry.finalUrl))];
+}
+
+/**
+ * Builds the JSON and HTML broken-link report for a crawl.
+ */
+export function brokenLinkReport(crawl) {
+  const summary = {
+    'Start URL': crawl.startUrl,
+    'Max depth': crawl.maxDepth,
+    'URLs checked': crawl.results.filter(entry => !entry.skipped).length,
+    'External links skipped': crawl.results.filter(entry => entry.skipped).length,
+    'Broken internal links': crawl.broken.length,
+    'Stopped at URL limit': crawl.truncated ? `yes (${crawl.maxUrls})` : 'no',
+  };
+
+  const html = renderHtmlReport({
+    title: 'Broken Link Report',
+    summary,
+    columns: [
+      { key: 'url', label: 'URL' },
+      { key: 'status', label: 'Status', format: entry => entry.status ?? entry.error ?? 'not checked' },
+      { key: 'redirectChain', label: 'Redirects', format: entry => entry.redirectChain.map(hop => `${hop.status} ${hop.url}`).join('\n') },
+      { key: 'sources', label: 'Found on', format: entry => entry.sources.map(source => `${source.page} ("${source.text}")`).join('\n') },
+    ],
+    rows: [...crawl.broken, ...crawl.results.filter(entry => !crawl.broken.includes(entry))],
+  });
+
+  return { json: { summary, broken: crawl.broken, results: crawl.results }, html };
+}
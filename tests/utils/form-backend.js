@@ -0,0 +1,145 @@
+import { normalizeUrl } from './crawler';
+
+// Stands in for the site's form backend, so form tests never post to a real
+// endpoint. Every form submission the page makes is captured and answered
+// with a canned response instead of reaching the network.
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const SUBMISSION_TYPES = ['fetch', 'xhr', 'document'];
+
+// Origin and path: a submission may add a query string to its form's action
+function endpoint(url) {
+  const { origin, pathname } = new URL(url);
+  return origin + pathname;
+}
+
+/**
+ * The action endpoints of the forms in the document that made `request`.
+ * Empty when that document is gone.
+ */
+async function formEndpoints(request) {
+  const actions = await request.frame().evaluate(() => [...document.forms].map(form => form.action)).catch(() => []);
+  return actions.map(endpoint);
+}
+
+/**
+ * True for requests that submit one of the page's forms: a POST/PUT/PATCH/DELETE
+ * made by a form navigation or by script to the `action` of a form on the page.
+ * Other script requests (analytics, error reporting), beacons and pings are
+ * left alone.
+ */
+export async function isSubmission(request) {
+  if (READ_METHODS.includes(request.method()) || !SUBMISSION_TYPES.includes(request.resourceType())) return false;
+  return (await formEndpoints(request)).includes(endpoint(request.url()));
+}
+
+function parseMultipart(body, contentType) {
+  const boundary = (contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/) || []).slice(1).find(Boolean);
+  const fields = {};
+  if (!boundary) return fields;
+
+  for (const part of body.split(`--${boundary}`)) {
+    const [head, ...rest] = part.split('\r\n\r\n');
+    const name = (head.match(/name="([^"]*)"/) || [])[1];
+    if (name === undefined) continue;
+    fields[name] = rest.join('\r\n\r\n').replace(/\r\n$/, '');
+  }
+  return fields;
+}
+
+/**
+ * Decodes a submission body into `{ encoding, fields }`. `encoding` is `json`,
+ * `urlencoded`, `multipart`, `text`, or `query` for a GET submission; `fields` maps field names to values
+ * (repeated names keep their last value, as the fixture backend does).
+ */
+export function parseSubmission(request) {
+  // GET forms send their fields in the query string
+  if (READ_METHODS.includes(request.method())) {
+    return { encoding: 'query', fields: Object.fromEntries(new URL(request.url()).searchParams) };
+  }
+
+  const contentType = request.headers()['content-type'] || '';
+  const body = request.postData() || '';
+
+  if (contentType.includes('application/json')) {
+    try {
+      return { encoding: 'json', fields: JSON.parse(body) };
+    } catch (error) {
+      return { encoding: 'json', fields: {}, error: `Invalid JSON: ${error.message}` };
+    }
+  }
+  if (contentType.includes('application/x-www-form-urlencoded')) {
+    return { encoding: 'urlencoded', fields: Object.fromEntries(new URLSearchParams(body)) };
+  }
+  if (contentType.includes('multipart/form-data')) {
+    return { encoding: 'multipart', fields: parseMultipart(body, contentType) };
+  }
+  return { encoding: 'text', fields: {} };
+}
+
+/**
+ * Routes every form submission made by `page` (see `isSubmission`) to a mock backend. Returns the
+ * backend: `submissions` holds `{ url, method, resourceType, contentType,
+ * body, encoding, fields }` for each captured request, and `respondWith()`
+ * sets the response for the next ones:
+ *
+ *   respondWith({ status: 422, json: { message: 'Invalid email' } })
+ *   respondWith({ abort: 'internetdisconnected' })   // network failure
+ *   respondWith({ status: 200, json: {}, delay: 500 }) // slow backend
+ *
+ * A function can be given instead, called with the submission to build the
+ * response. Call before `page.goto` or at least before submitting.
+ *
+ * A form without `method="post"` submits by navigating, which looks like any
+ * other page load. Wrap such submits in `captureNavigations(pageUrl)`: until
+ * the returned function is called, every navigation except one to `pageUrl`
+ * is captured as a submission too.
+ */
+export async function mockFormBackend(page, response = { status: 200, json: { ok: true } }) {
+  const backend = {
+    submissions: [],
+    response,
+    respondWith(next) {
+      backend.response = next;
+    },
+    allowedNavigation: null,
+    captureNavigations(pageUrl) {
+      backend.allowedNavigation = normalizeUrl(pageUrl);
+      return () => {
+        backend.allowedNavigation = null;
+      };
+    },
+  };
+
+  const isFormNavigation = request => backend.allowedNavigation !== null
+    && request.isNavigationRequest()
+    && normalizeUrl(request.url()) !== backend.allowedNavigation;
+
+  await page.route('**/*', async (route) => {
+    const request = route.request();
+    if (!isFormNavigation(request) && !await isSubmission(request)) return route.fallback();
+
+    const submission = {
+      url: request.url(),
+      method: request.method(),
+      resourceType: request.resourceType(),
+      contentType: request.headers()['content-type'] || '',
+      body: request.postData() || '',
+      ...parseSubmission(request),
+    };
+    backend.submissions.push(submission);
+
+    const reply = typeof backend.response === 'function' ? backend.response(submission) : backend.response;
+    if (reply.delay) await new Promise(resolve => setTimeout(resolve, reply.delay));
+    if (reply.abort) return route.abort(reply.abort);
+
+    await route.fulfill({
+      status: reply.status || 200,
+      headers: reply.headers,
+      contentType: reply.json !== undefined ? 'application/json' : reply.contentType || 'text/plain',
+      body: reply.json !== undefined ? JSON.stringify(reply.json) : reply.body || '',
+    });
+  });
+
+  return backend;
+}
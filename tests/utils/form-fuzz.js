@@ -0,0 +1,303 @@
+// Form fuzzing: fills every field of a form with boundary and hostile inputs
+// and checks client validation, unescaped reflection and script execution.
+//
+// Script payloads call window.__fuzzHit('<id>') and carry data-fuzz="<id>",
+// so a payload that runs and one that is inserted into the DOM as markup are
+// both caught, while an escaped echo of the same text is fine.
+
+import { mockFormBackend } from './form-backend';
+import { renderHtmlReport } from './html-report';
+
+export const FUZZ_PAYLOADS = [
+  { id: 'long-string', category: 'length', value: 'A'.repeat(10000) },
+  { id: 'long-text', category: 'length', value: 'Quality matters. '.repeat(300).trim() },
+  { id: 'rtl', category: 'unicode', value: 'مرحبا بالعالم שלום עולם' },
+  { id: 'rtl-override', category: 'unicode', value: 'invoice\u202Efdp.exe' },
+  { id: 'combining-marks', category: 'unicode', value: 'Z\u0351\u036B\u0313a\u0310\u0364l\u0352\u036Bg\u0350\u036Fo\u0357' },
+  { id: 'zero-width', category: 'unicode', value: 'zero\u200Bwidth\u200Djoiner\uFEFF' },
+  { id: 'emoji', category: 'emoji', value: '👩🏽‍💻🚀✅🇦🇺 quality' },
+  { id: 'sql-quote', category: 'sql', value: "' OR '1'='1' --" },
+  { id: 'sql-drop', category: 'sql', value: 'Robert"); DROP TABLE contacts;--' },
+  { id: 'sql-union', category: 'sql', value: "1 UNION SELECT username, password FROM users/*" },
+  { id: 'script-tag', category: 'html', value: '<script data-fuzz="script-tag">window.__fuzzHit("script-tag")</script>' },
+  { id: 'img-onerror', category: 'html', value: '"><img src="x" data-fuzz="img-onerror" onerror="window.__fuzzHit(\'img-onerror\')">' },
+  { id: 'svg-onload', category: 'html', value: '<svg data-fuzz="svg-onload" onload="window.__fuzzHit(\'svg-onload\')"></svg>' },
+  { id: 'attribute-break', category: 'html', value: '\' autofocus data-fuzz="attribute-break" onfocus=\'window.__fuzzHit("attribute-break")' },
+  { id: 'javascript-url', category: 'html', value: 'javascript:window.__fuzzHit("javascript-url")', selector: '[href^="javascript:window.__fuzzHit"], [src^="javascript:window.__fuzzHit"]' },
+  { id: 'template', category: 'html', value: '{{constructor.constructor("window.__fuzzHit(\'template\')")()}}' },
+];
+
+// Values that pass the browser's type checks, used for typed fields when a
+// payload goes into the free-text fields
+export const VALID_VALUES = {
+  email: 'fuzz@example.com',
+  url: 'https://example.com/',
+  tel: '+61290000000',
+  number: '1',
+  date: '2024-01-01',
+};
+
+const FREE_TEXT_TYPES = ['text', 'search', 'password', 'textarea', ''];
+// Types the browser validates: a payload that is not an address must be rejected
+const CHECKED_TYPES = {
+  email: value => /^[^\s@]+@[^\s@]+$/.test(value),
+  url: value => {
+    try {
+      return Boolean(new URL(value));
+    } catch (error) {
+      return false;
+    }
+  },
+};
+
+const SKIPPED_TYPES = ['hidden', 'submit', 'button', 'reset', 'image', 'file', 'checkbox', 'radio', 'range', 'color'];
+
+// Only these findings fail the run; the rest are reported as warnings
+export const FAILING_RULES = ['script-executed', 'unescaped-reflection', 'invalid-form-submitted', 'page-error'];
+
+/**
+ * Describes the forms on the page and their fillable fields. `key` is the
+ * form's action, method and field names, so the same form (a footer
+ * newsletter signup, say) found on several pages is fuzzed once.
+ */
+export async function describeForms(page) {
+  const forms = await page.locator('form').evaluateAll(elements => elements.map((form, index) => {
+    const controls = [...form.querySelectorAll('input, textarea, select')];
+    const fields = controls.map((control, controlIndex) => {
+      const label = (control.labels && control.labels[0] ? control.labels[0].textContent : control.getAttribute('aria-label') || control.placeholder || '').trim();
+      const style = getComputedStyle(control);
+      return {
+        index: controlIndex,
+        tag: control.tagName.toLowerCase(),
+        type: control.tagName === 'INPUT' ? control.type : control.tagName.toLowerCase(),
+        name: control.name || control.id || '',
+        label,
+        required: control.required,
+        maxLength: control.maxLength >= 0 ? control.maxLength : null,
+        usable: !control.disabled && !control.readOnly && style.display !== 'none' && style.visibility !== 'hidden',
+      };
+    });
+    return {
+      index,
+      action: form.action,
+      method: (form.getAttribute('method') || 'get').toLowerCase(),
+      noValidate: form.noValidate,
+      fields,
+    };
+  }));
+
+  return forms.map(form => ({
+    ...form,
+    key: `${form.method.toUpperCase()} ${form.action} (${form.fields.map(field => field.name).join(', ')})`,
+    fields: form.fields.filter(field => field.usable && !SKIPPED_TYPES.includes(field.type)),
+  }));
+}
+
+/**
+ * Listens for fuzz payloads running on the page: `__fuzzHit` calls, dialogs
+ * and uncaught errors. Call once per page, before navigating.
+ */
+export async function watchForScript(page) {
+  const watcher = { hits: [], dialogs: [], errors: [] };
+  await page.exposeFunction('__fuzzHit', id => watcher.hits.push(String(id)));
+  page.on('dialog', dialog => {
+    watcher.dialogs.push(dialog.message());
+    dialog.dismiss().catch(() => {});
+  });
+  page.on('pageerror', error => watcher.errors.push(error.message));
+  return watcher;
+}
+
+function fieldName(field) {
+  return field.name || field.label || `${field.tag} #${field.index + 1}`;
+}
+
+async function fillField(control, field, value) {
+  if (field.tag === 'select') {
+    // Pick the first real option for required selects, leave the others
+    if (field.required) await control.selectOption({ index: 1 }).catch(() => {});
+    return;
+  }
+  await control.fill(value);
+}
+
+/**
+ * Fills every field with the payload and checks client validation, then
+ * submits. Returns findings for:
+ * - `value-altered`: a free-text field without maxlength did not keep the text
+ * - `maxlength-ignored`: a field holds more than its maxlength
+ * - `type-not-enforced`: an email/url field accepted a payload that is not one
+ * - `invalid-form-submitted`: the browser reported the form invalid but it was sent anyway
+ */
+export async function checkValidation(page, form, payload, backend) {
+  const findings = [];
+  const formLocator = page.locator('form').nth(form.index);
+  const controls = formLocator.locator('input, textarea, select');
+
+  let invalid = false;
+  for (const field of form.fields) {
+    const control = controls.nth(field.index);
+    const filled = await fillField(control, field, payload.value).then(() => true, () => false);
+    if (!filled || field.tag === 'select') continue;
+
+    const { value, valid } = await control.evaluate(element => ({ value: element.value, valid: element.checkValidity() }));
+    if (!valid) invalid = true;
+
+    if (FREE_TEXT_TYPES.includes(field.type)) {
+      if (field.maxLength !== null && value.length > field.maxLength) {
+        findings.push({ field: fieldName(field), rule: 'maxlength-ignored', detail: `${value.length} characters in a field with maxlength ${field.maxLength}` });
+      } else if (field.maxLength === null && value !== payload.value) {
+        findings.push({ field: fieldName(field), rule: 'value-altered', detail: `Kept ${value.length} of ${payload.value.length} characters` });
+      }
+    }
+    if (CHECKED_TYPES[field.type] && valid && !CHECKED_TYPES[field.type](payload.value)) {
+      findings.push({ field: fieldName(field), rule: 'type-not-enforced', detail: `${field.type} field accepted "${value.slice(0, 60)}"` });
+    }
+  }
+
+  const before = backend.submissions.length;
+  await submitForm(page, formLocator, backend);
+  if (invalid && !form.noValidate && backend.submissions.length > before) {
+    findings.push({ rule: 'invalid-form-submitted', detail: 'The browser marked the form invalid but it was submitted' });
+  }
+  return findings;
+}
+
+/**
+ * Puts the payload into the free-text fields and valid values into the
+ * others, submits, and looks for the payload in the DOM as markup or running
+ * as script. Returns `unescaped-reflection`, `script-executed` and
+ * `page-error` findings.
+ */
+export async function checkReflection(page, form, payload, backend, watcher) {
+  const formLocator = page.locator('form').nth(form.index);
+  const controls = formLocator.locator('input, textarea, select');
+  const hits = watcher.hits.length;
+  const dialogs = watcher.dialogs.length;
+  const errors = watcher.errors.length;
+
+  for (const field of form.fields) {
+    const value = FREE_TEXT_TYPES.includes(field.type) ? payload.value : VALID_VALUES[field.type] || payload.value;
+    await fillField(controls.nth(field.index), field, value).catch(() => {});
+  }
+  await submitForm(page, formLocator, backend);
+
+  const findings = [];
+  const selector = payload.selector || `[data-fuzz="${payload.id}"]`;
+  const reflected = await page.locator(selector).count().catch(() => 0);
+  if (reflected > 0) {
+    findings.push({ rule: 'unescaped-reflection', detail: `${reflected} element(s) matching ${selector} after submitting` });
+  }
+  const ran = [...watcher.hits.slice(hits), ...watcher.dialogs.slice(dialogs).map(message => `dialog "${message}"`)];
+  if (ran.length > 0) {
+    findings.push({ rule: 'script-executed', detail: `Payload ran: ${ran.join(', ')}` });
+  }
+  for (const message of watcher.errors.slice(errors)) {
+    findings.push({ rule: 'page-error', detail: message });
+  }
+  return findings;
+}
+
+// Submits through the first submit button (or requestSubmit), then waits for
+// the mocked response to be handled. Navigations away from the page are
+// captured by the backend, so GET forms do not send payloads to the site either.
+async function submitForm(page, formLocator, backend) {
+  const release = backend.captureNavigations(page.url());
+  try {
+    const submit = formLocator.locator('button:not([type]), button[type="submit"], input[type="submit"]').first();
+    if (await submit.count() > 0) {
+      await submit.click({ timeout: 5000 }).catch(() => {});
+    } else {
+      await formLocator.evaluate(form => form.requestSubmit()).catch(() => {});
+    }
+    await page.waitForLoadState('load');
+    await page.waitForTimeout(500);
+  } finally {
+    release();
+  }
+}
+
+/**
+ * Echoes the submitted fields back, the way many backends do, so unsafe
+ * client-side rendering of the response shows up. Form navigations are
+ * redirected back to the page.
+ */
+export function echoResponse(pageUrl) {
+  return submission => submission.resourceType === 'document'
+    ? { status: 303, headers: { location: pageUrl } }
+    : { status: 200, json: { ok: true, message: `Thanks! We received: ${Object.values(submission.fields).join(' ')}`, received: submission.fields } };
+}
+
+/**
+ * Fuzzes each new form found on `urls` with every payload, reloading the
+ * page before each check. Submissions, including GET form navigations, go
+ * to a mock backend that echoes them (see echoResponse), so nothing reaches
+ * the real one.
+ *
+ * Returns `{ payloads, pages, forms, findings }`; each finding has the page, form key,
+ * payload id, rule and detail, plus the field for field-level rules.
+ */
+export async function fuzzPages(page, urls, payloads = FUZZ_PAYLOADS) {
+  const backend = await mockFormBackend(page);
+  const watcher = await watchForScript(page);
+  const results = { payloads: payloads.length, pages: [], forms: [], findings: [] };
+
+  for (const url of urls) {
+    await page.goto(url, { waitUntil: 'load' });
+    backend.respondWith(echoResponse(url));
+
+    const forms = (await describeForms(page))
+      .filter(form => form.fields.length > 0 && !results.forms.some(known => known.key === form.key));
+    if (forms.length === 0) continue;
+    results.pages.push(url);
+
+    for (const form of forms) {
+      results.forms.push({ key: form.key, page: url, fields: form.fields.map(fieldName) });
+      for (const payload of payloads) {
+        for (const check of [checkValidation, checkReflection]) {
+          await page.goto(url, { waitUntil: 'load' });
+          const findings = await check(page, form, payload, backend, watcher);
+          results.findings.push(...findings.map(finding => ({ page: url, form: form.key, payload: payload.id, ...finding })));
+        }
+      }
+    }
+  }
+  return results;
+}
+
+export function formatFuzzFinding(finding) {
+  const field = finding.field ? ` field "${finding.field}"` : '';
+  return `${finding.rule}: ${finding.payload} in ${finding.form}${field} on ${finding.page} - ${finding.detail}`;
+}
+
+/**
+ * JSON and HTML report of the fuzzing findings, failing ones first.
+ */
+export function fuzzReport(results) {
+  const findings = results.findings;
+  const failing = findings.filter(finding => FAILING_RULES.includes(finding.rule));
+  const summary = {
+    'Pages fuzzed': results.pages.length,
+    'Forms fuzzed': results.forms.length,
+    'Payloads per form': results.payloads,
+    'Failing findings': failing.length,
+    'Warnings': findings.length - failing.length,
+  };
+
+  const html = renderHtmlReport({
+    title: 'Form Fuzzing Report',
+    summary,
+    columns: [
+      { key: 'severity', label: 'Severity', format: finding => FAILING_RULES.includes(finding.rule) ? 'error' : 'warn' },
+      { key: 'rule', label: 'Rule' },
+      { key: 'form', label: 'Form' },
+      { key: 'field', label: 'Field', format: finding => finding.field || '' },
+      { key: 'payload', label: 'Payload' },
+      { key: 'page', label: 'Page' },
+      { key: 'detail', label: 'Detail' },
+    ],
+    rows: [...failing, ...findings.filter(finding => !failing.includes(finding))],
+  });
+
+  return { json: { summary, ...results }, html };
+}
@@ -0,0 +1,99 @@
+import fs from 'fs';
+
+// Sorts a table by the clicked column, numerically when both cells are
+// numbers; clicking the same column again reverses the order
+const SORT_SCRIPT = `<script>
+document.querySelectorAll('table.sortable th').forEach(th => th.addEventListener('click', () => {
+  const tbody = th.closest('table').tBodies[0];
+  const ascending = th.dataset.order !== 'asc';
+  th.closest('tr').querySelectorAll('th').forEach(other => delete other.dataset.order);
+  th.dataset.order = ascending ? 'asc' : 'desc';
+  const cell = row => row.cells[th.cellIndex].textContent.trim();
+  const rows = [...tbody.rows].sort((a, b) => {
+    const [x, y] = [cell(a), cell(b)];
+    const numeric = x !== '' && y !== '' && !isNaN(x) && !isNaN(y);
+    const order = numeric ? Number(x) - Number(y) : x.localeCompare(y);
+    return ascending ? order : -order;
+  });
+  tbody.append(...rows);
+}));
+</script>`;
+
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Renders a standalone HTML page with a summary list and one results table.
+ * Each column is `{ key, label, format? }`; `format(row)` returns plain text.
+ * Pass `sections` (`[{ title, rows }]`) instead of `rows` for one table per
+ * section, all with the same columns. A section's `html` is inserted as-is
+ * above its table, so escape anything taken from the page. With `sortable`,
+ * clicking a column header sorts the table by that column.
+ */
+export function renderHtmlReport({ title, summary = {}, columns, rows, sections, sortable = false }) {
+  const summaryItems = Object.entries(summary)
+    .map(([label, value]) => `<li><strong>${escapeHtml(label)}:</strong> ${escapeHtml(value)}</li>`)
+    .join('\n');
+  const header = columns.map(column => `<th>${escapeHtml(column.label)}</th>`).join('');
+  const renderRows = tableRows => tableRows.map(row => {
+    const cells = columns.map(column => {
+      const value = column.format ? column.format(row) : row[column.key];
+      return `<td>${escapeHtml(value)}</td>`;
+    });
+    return `<tr>${cells.join('')}</tr>`;
+  }).join('\n');
+  const tables = (sections || [{ rows }]).map(section => `${section.title ? `<h2>${escapeHtml(section.title)}</h2>\n` : ''}${section.html ? `${section.html}\n` : ''}<table${sortable ? ' class="sortable"' : ''}>
+<thead><tr>${header}</tr></thead>
+<tbody>
+${renderRows(section.rows)}
+</tbody>
+</table>`).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: Arial, Helvetica, sans-serif; margin: 24px; color: #1c1c1c; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { border: 1px solid #d0d7e2; padding: 6px 8px; text-align: left; vertical-align: top; white-space: pre-line; }
+  th { background: #f2f5fa; }
+  h2 { font-size: 18px; margin-top: 32px; }
+  table.sortable th { cursor: pointer; }
+  table.sortable th[data-order="asc"]::after { content: " \\25B2"; }
+  table.sortable th[data-order="desc"]::after { content: " \\25BC"; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<ul>
+${summaryItems}
+</ul>
+${tables}
+${sortable ? `${SORT_SCRIPT}\n` : ''}</body>
+</html>
+`;
+}
+
+/**
+ * Writes a JSON report (and optionally its HTML rendering) to the test output
+ * folder and attaches both to the Playwright report.
+ */
+export async function attachReport(testInfo, name, { json, html }) {
+  const jsonPath = testInfo.outputPath(`${name}.json`);
+  fs.writeFileSync(jsonPath, JSON.stringify(json, null, 2));
+  await testInfo.attach(`${name}.json`, { path: jsonPath, contentType: 'application/json' });
+
+  if (html) {
+    const htmlPath = testInfo.outputPath(`${name}.html`);
+    fs.writeFileSync(htmlPath, html);
+    await testInfo.attach(`${name}.html`, { path: htmlPath, contentType: 'text/html' });
+  }
+}
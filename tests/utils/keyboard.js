@@ -0,0 +1,328 @@
+import { escapeHtml, renderHtmlReport } from './html-report';
+
+// Tab presses before the audit gives up on leaving the page (KEYBOARD_MAX_TABS)
+export const MAX_TABS = Number(process.env.KEYBOARD_MAX_TABS) || 300;
+
+// Findings that fail the audit; `positive-tabindex` is only reported
+export const FAILING_RULES = [
+  'hidden-focus', 'no-focus-indicator', 'keyboard-trap',
+  'missing-skip-link', 'broken-skip-link',
+  'menu-keyboard', 'menu-escape', 'menu-focus',
+  'dialog-open', 'dialog-focus', 'dialog-trap', 'dialog-escape', 'dialog-restore',
+];
+
+// Triggers that open a dialog, checked with checkDialog()
+export const DIALOG_TRIGGERS = '[aria-haspopup="dialog"][aria-controls]';
+
+/**
+ * Installs `window.__keyboardAudit` in the page: it snapshots the unfocused
+ * styles of every focusable element, then describes each element that Tab
+ * lands on. Call after every navigation, before the first Tab.
+ */
+export async function installKeyboardProbe(page) {
+  await page.evaluate(() => {
+    const FOCUSABLE = 'a[href], area[href], button, input, select, textarea, iframe, summary, audio[controls], video[controls], [contenteditable=""], [contenteditable="true"], [tabindex]';
+
+    // The styles a focus indicator usually changes. Pseudo-elements count
+    // too, and an outline of style none or width 0 is no outline.
+    const visualState = (element) => {
+      const state = {};
+      for (const pseudo of [null, '::before', '::after']) {
+        const style = getComputedStyle(element, pseudo);
+        if (pseudo && style.content === 'none') continue;
+        const prefix = pseudo || '';
+        state[`${prefix}outline`] = style.outlineStyle === 'none' || parseFloat(style.outlineWidth) === 0
+          ? 'none'
+          : `${style.outlineStyle} ${style.outlineWidth} ${style.outlineColor}`;
+        state[`${prefix}box-shadow`] = style.boxShadow;
+        state[`${prefix}border`] = ['Top', 'Right', 'Bottom', 'Left'].map(side => `${style[`border${side}Width`]} ${style[`border${side}Style`]} ${style[`border${side}Color`]}`).join(', ');
+        state[`${prefix}background`] = `${style.backgroundColor} ${style.backgroundImage}`;
+        state[`${prefix}color`] = style.color;
+        state[`${prefix}text-decoration`] = `${style.textDecorationLine} ${style.textDecorationThickness}`;
+      }
+      return state;
+    };
+
+    const accessibleName = (element) => {
+      const labelledBy = (element.getAttribute('aria-labelledby') || '').split(/\s+/).map(id => document.getElementById(id)).filter(Boolean);
+      const label = element.labels && element.labels.length > 0 ? element.labels[0].textContent : '';
+      const image = element.querySelector && element.querySelector('img[alt]');
+      const name = element.getAttribute('aria-label')
+        || labelledBy.map(node => node.textContent).join(' ')
+        || label
+        || element.textContent
+        || (image && image.alt)
+        || element.getAttribute('title')
+        || element.getAttribute('placeholder')
+        || '';
+      return name.replace(/\s+/g, ' ').trim().slice(0, 80);
+    };
+
+    const describe = (element) => {
+      const id = element.id ? `#${element.id}` : '';
+      const classes = [...element.classList].slice(0, 2).map(name => `.${name}`).join('');
+      return {
+        element: `${element.tagName.toLowerCase()}${id}${classes}`,
+        name: accessibleName(element),
+        tabindex: element.getAttribute('tabindex'),
+        href: element.getAttribute('href'),
+      };
+    };
+
+    // Reasons a focused element cannot be seen
+    const hiddenReasons = (element) => {
+      const reasons = [];
+      const rect = element.getBoundingClientRect();
+      const style = getComputedStyle(element);
+      let opacity = 1;
+      for (let node = element; node; node = node.parentElement) opacity *= parseFloat(getComputedStyle(node).opacity);
+
+      if (rect.width <= 1 || rect.height <= 1) reasons.push(`${Math.round(rect.width)}x${Math.round(rect.height)} px`);
+      if (style.visibility !== 'visible') reasons.push(`visibility: ${style.visibility}`);
+      if (opacity === 0) reasons.push('opacity: 0');
+      if (rect.right <= 0 || rect.bottom <= 0 || rect.left >= innerWidth || rect.top >= innerHeight) {
+        reasons.push(`off-screen at ${Math.round(rect.left)},${Math.round(rect.top)}`);
+      }
+      return reasons;
+    };
+
+    const activeElement = () => {
+      let element = document.activeElement;
+      while (element && element.shadowRoot && element.shadowRoot.activeElement) element = element.shadowRoot.activeElement;
+      return element && element !== document.body && element !== document.documentElement ? element : null;
+    };
+
+    const before = new Map();
+    for (const element of document.querySelectorAll(FOCUSABLE)) before.set(element, visualState(element));
+    const seen = new Map();
+
+    window.__keyboardAudit = {
+      activeElement,
+      describe,
+
+      // Describes the element Tab just landed on, or says the sequence ended
+      step() {
+        const element = activeElement();
+        if (!element) return { end: true };
+        if (seen.has(element)) return { repeat: seen.get(element), element: describe(element).element };
+        seen.set(element, seen.size);
+
+        const unfocused = before.get(element);
+        const focused = visualState(element);
+        const changed = unfocused ? Object.keys(focused).filter(key => focused[key] !== unfocused[key]) : null;
+        return { ...describe(element), hidden: hiddenReasons(element), indicator: changed };
+      },
+    };
+  });
+}
+
+/**
+ * Presses Tab from the top of the page until focus leaves the page or comes
+ * back to the first stop. Returns `{ stops, findings }`; each stop is
+ * `{ index, element, name, tabindex, href, hidden, indicator }`, where
+ * `indicator` lists the styles that changed on focus (null when unknown).
+ */
+export async function tabThroughPage(page, { maxTabs = MAX_TABS } = {}) {
+  await installKeyboardProbe(page);
+  await page.evaluate(() => document.activeElement && document.activeElement.blur());
+
+  const stops = [];
+  const findings = [];
+  let ended = false;
+
+  for (let press = 0; press < maxTabs; press++) {
+    await page.keyboard.press('Tab');
+    const stop = await page.evaluate(() => window.__keyboardAudit.step());
+    if (stop.end) {
+      ended = true;
+      break;
+    }
+    if (stop.repeat !== undefined) {
+      // Focus inside an iframe keeps the iframe as the active element
+      if (stop.element.startsWith('iframe')) continue;
+      ended = true;
+      if (stop.repeat > 0) {
+        findings.push({ rule: 'keyboard-trap', detail: `Tab cycles back to stop ${stop.repeat + 1} (${stops[stop.repeat].element}) and never reaches the rest of the page` });
+      }
+      break;
+    }
+    stops.push({ index: stops.length + 1, ...stop });
+  }
+  if (!ended) {
+    findings.push({ rule: 'keyboard-trap', detail: `Focus did not leave the page after ${maxTabs} Tab presses (KEYBOARD_MAX_TABS)` });
+  }
+
+  for (const stop of stops) {
+    const where = `Stop ${stop.index} (${stop.element} "${stop.name}")`;
+    if (stop.hidden.length > 0) findings.push({ rule: 'hidden-focus', detail: `${where} gets focus but is hidden: ${stop.hidden.join(', ')}` });
+    if (stop.indicator && stop.indicator.length === 0) findings.push({ rule: 'no-focus-indicator', detail: `${where} looks the same focused and unfocused` });
+    if (Number(stop.tabindex) > 0) findings.push({ rule: 'positive-tabindex', detail: `${where} has tabindex="${stop.tabindex}", which moves it out of reading order` });
+  }
+
+  return { stops, findings };
+}
+
+/**
+ * Checks the skip link on a freshly loaded page: the first Tab stop must be a
+ * link to an element on the page, and after following it the next Tab must
+ * land in (or after) that element rather than back in the header.
+ */
+export async function checkSkipLink(page) {
+  await page.evaluate(() => document.activeElement && document.activeElement.blur());
+  await page.keyboard.press('Tab');
+  const first = await page.evaluate(() => {
+    const element = document.activeElement;
+    if (!element || element === document.body) return null;
+    const href = element.getAttribute('href') || '';
+    const target = href.startsWith('#') && href.length > 1 ? document.getElementById(decodeURIComponent(href.slice(1))) : null;
+    return { tag: element.tagName.toLowerCase(), text: element.textContent.replace(/\s+/g, ' ').trim(), href, target: Boolean(target) };
+  });
+
+  if (!first || first.tag !== 'a' || !first.href.startsWith('#')) {
+    const what = first ? `${first.tag} "${first.text}"${first.href ? ` (${first.href})` : ''}` : 'nothing';
+    return [{ rule: 'missing-skip-link', detail: `The first Tab stop is ${what}, not a link to the main content` }];
+  }
+  if (!first.target) {
+    return [{ rule: 'broken-skip-link', detail: `"${first.text}" links to ${first.href}, which is not on the page` }];
+  }
+
+  await page.keyboard.press('Enter');
+  await page.keyboard.press('Tab');
+  const landed = await page.evaluate((href) => {
+    const target = document.getElementById(decodeURIComponent(href.slice(1)));
+    const element = document.activeElement;
+    const after = element && (element === target || target.contains(element) || Boolean(target.compareDocumentPosition(element) & Node.DOCUMENT_POSITION_FOLLOWING));
+    return { after, element: element ? element.tagName.toLowerCase() : 'nothing' };
+  }, first.href);
+
+  return landed.after ? [] : [{ rule: 'broken-skip-link', detail: `After following "${first.text}", Tab went to a ${landed.element} before ${first.href}` }];
+}
+
+async function focusState(page, containerId) {
+  return page.evaluate((id) => {
+    const container = document.getElementById(id);
+    const element = window.__keyboardAudit.activeElement();
+    if (!element) return { where: 'none' };
+    return { where: container && container.contains(element) ? 'inside' : 'outside', ...window.__keyboardAudit.describe(element) };
+  }, containerId);
+}
+
+/**
+ * Opens the mobile menu from the keyboard and closes it with Escape. The
+ * toggle must report its state in aria-expanded, the menu it controls must
+ * show and hide, and focus must come back to the toggle.
+ */
+export async function checkMenuEscape(page, toggle) {
+  const findings = [];
+  const panelId = await toggle.getAttribute('aria-controls');
+  const panel = panelId ? page.locator(`[id="${panelId}"]`) : null;
+
+  await installKeyboardProbe(page);
+  await toggle.focus();
+  await page.keyboard.press('Enter');
+  if (await toggle.getAttribute('aria-expanded') !== 'true' || (panel && !await panel.isVisible())) {
+    return [{ rule: 'menu-keyboard', detail: 'Enter on the menu toggle did not open the menu (aria-expanded or visibility)' }];
+  }
+
+  // Escape should work from inside the menu, not only on the toggle
+  await page.keyboard.press('Tab');
+  await page.keyboard.press('Escape');
+  if (await toggle.getAttribute('aria-expanded') !== 'false' || (panel && await panel.isVisible())) {
+    findings.push({ rule: 'menu-escape', detail: 'Escape did not close the open menu' });
+  } else if (!await toggle.evaluate(element => element === document.activeElement)) {
+    const state = await focusState(page, panelId);
+    findings.push({ rule: 'menu-focus', detail: `After Escape focus is on ${state.element || 'nothing'}, not the menu toggle` });
+  }
+  return findings;
+}
+
+/**
+ * Opens the dialog controlled by `trigger` from the keyboard and checks that
+ * focus moves into it, Tab and Shift+Tab stay inside it, Escape closes it and
+ * focus returns to the trigger. Focus passing through the browser UI (no
+ * active element) on the way round is allowed.
+ */
+export async function checkDialog(page, trigger) {
+  const findings = [];
+  const dialogId = await trigger.getAttribute('aria-controls');
+  const dialog = page.locator(`[id="${dialogId}"]`);
+  const name = `Dialog #${dialogId}`;
+
+  await installKeyboardProbe(page);
+  await trigger.focus();
+  await page.keyboard.press('Enter');
+  try {
+    await dialog.waitFor({ state: 'visible', timeout: 2000 });
+  } catch (error) {
+    return [{ rule: 'dialog-open', detail: `${name} did not open on Enter` }];
+  }
+
+  const opened = await focusState(page, dialogId);
+  if (opened.where !== 'inside') {
+    findings.push({ rule: 'dialog-focus', detail: `${name} opened with focus left on ${opened.element || 'nothing'}` });
+  }
+
+  // Enough presses to go round the dialog once in each direction
+  const presses = await dialog.evaluate(element => element.querySelectorAll('a[href], button, input, select, textarea, [tabindex]').length) + 2;
+  const keys = [...Array(presses).fill('Tab'), ...Array(presses).fill('Shift+Tab')];
+  for (const key of keys) {
+    await page.keyboard.press(key);
+    const state = await focusState(page, dialogId);
+    if (state.where === 'outside') {
+      findings.push({ rule: 'dialog-trap', detail: `${key} moved focus out of ${name} to ${state.element} "${state.name}"` });
+      break;
+    }
+  }
+
+  await page.keyboard.press('Escape');
+  if (await dialog.isVisible()) {
+    findings.push({ rule: 'dialog-escape', detail: `Escape did not close ${name}` });
+  } else if (!await trigger.evaluate(element => element === document.activeElement)) {
+    const state = await focusState(page, dialogId);
+    findings.push({ rule: 'dialog-restore', detail: `After closing ${name} focus is on ${state.element || 'nothing'}, not the button that opened it` });
+  }
+  return findings;
+}
+
+export function formatKeyboardFinding(finding) {
+  return `${finding.rule}: ${finding.detail}`;
+}
+
+/**
+ * JSON and HTML report with the full tab sequence of each page, its
+ * page-level findings listed above the table. Each page is
+ * `{ url, stops, findings }`.
+ */
+export function keyboardReport(pages) {
+  const findings = pages.flatMap(entry => entry.findings);
+  const failing = findings.filter(finding => FAILING_RULES.includes(finding.rule));
+  const summary = {
+    'Pages audited': pages.length,
+    'Tab stops': pages.reduce((total, entry) => total + entry.stops.length, 0),
+    'Pages with failures': pages.filter(entry => entry.findings.some(finding => FAILING_RULES.includes(finding.rule))).length,
+    'Failing findings': failing.length,
+    'Warnings': findings.length - failing.length,
+  };
+
+  const html = renderHtmlReport({
+    title: 'Keyboard Navigation Report',
+    summary,
+    columns: [
+      { key: 'index', label: '#' },
+      { key: 'element', label: 'Element' },
+      { key: 'name', label: 'Name' },
+      { key: 'indicator', label: 'Focus indicator', format: stop => stop.indicator === null ? 'unknown' : stop.indicator.length > 0 ? stop.indicator.join(', ') : 'NONE' },
+      { key: 'hidden', label: 'Visible when focused', format: stop => stop.hidden.length > 0 ? `NO: ${stop.hidden.join(', ')}` : 'yes' },
+      { key: 'tabindex', label: 'tabindex', format: stop => stop.tabindex ?? '' },
+    ],
+    sections: pages.map(entry => ({
+      title: `${entry.url}: ${entry.stops.length} tab stops`,
+      html: entry.findings.length > 0
+        ? `<ul>\n${entry.findings.map(finding => `<li><strong>${escapeHtml(finding.rule)}</strong>: ${escapeHtml(finding.detail)}</li>`).join('\n')}\n</ul>`
+        : '<p>No findings.</p>',
+      rows: entry.stops,
+    })),
+  });
+
+  return { json: { summary, pages }, html };
+}
@@ -0,0 +1,173 @@
+// User preferences the site must respect, emulated through CSS media
+// features: dark mode, reduced motion, forced colours (Windows High Contrast)
+// and increased contrast.
+
+export const PREFERENCES = [
+  { name: 'dark', query: '(prefers-color-scheme: dark)', media: { colorScheme: 'dark' } },
+  { name: 'reduced-motion', query: '(prefers-reduced-motion: reduce)', media: { reducedMotion: 'reduce' } },
+  { name: 'forced-colors', query: '(forced-colors: active)', media: { forcedColors: 'active' } },
+  { name: 'more-contrast', query: '(prefers-contrast: more)', media: { contrast: 'more' } },
+];
+
+// Findings that fail the check; `smooth-scroll` is only reported
+export const FAILING_RULES = ['animation', 'transition', 'script-animation', 'disappears'];
+
+// Durations up to this many milliseconds count as turned off; the usual
+// reduced-motion reset sets them to 0.01ms rather than 0
+const MOTION_THRESHOLD_MS = 10;
+
+// Long finite animations are not waited for beyond this
+const SETTLE_TIMEOUT_MS = 5000;
+
+/**
+ * Waits for running animations and transitions that will end (e.g. colours
+ * fading after a preference change). Infinite ones are ignored.
+ */
+export async function settleAnimations(page) {
+  await page.evaluate(timeout => Promise.race([
+    Promise.all(document.getAnimations()
+      .filter(animation => Number.isFinite(animation.effect.getComputedTiming().endTime))
+      .map(animation => animation.finished.catch(() => {}))),
+    new Promise(resolve => setTimeout(resolve, timeout)),
+  ]), SETTLE_TIMEOUT_MS);
+}
+
+/**
+ * Finds motion left on the page once reduced motion is requested: CSS
+ * animations and transitions (on elements and their ::before/::after) that
+ * still last longer than 10ms, and running Web Animations started from
+ * script. Smooth scrolling on the root is reported as a warning.
+ */
+export async function findMotion(page) {
+  return page.evaluate(threshold => {
+    const findings = [];
+    const describe = (element) => {
+      const id = element.id ? `#${element.id}` : '';
+      const classes = [...element.classList].slice(0, 2).map(name => `.${name}`).join('');
+      return `${element.tagName.toLowerCase()}${id}${classes}`;
+    };
+    const longest = list => Math.max(...list.split(',').map(value => parseFloat(value) * (value.trim().endsWith('ms') ? 1 : 1000)));
+
+    for (const element of document.querySelectorAll('body, body *')) {
+      for (const pseudo of [null, '::before', '::after']) {
+        const style = getComputedStyle(element, pseudo);
+        if (pseudo && (style.content === 'none' || style.content === 'normal')) continue;
+        const target = `${describe(element)}${pseudo || ''}`;
+
+        if (style.animationName !== 'none' && longest(style.animationDuration) > threshold) {
+          findings.push({ rule: 'animation', element: target, detail: `animation ${style.animationName} runs for ${style.animationDuration}` });
+        }
+        if (style.transitionProperty !== 'none' && longest(style.transitionDuration) > threshold) {
+          findings.push({ rule: 'transition', element: target, detail: `transition on ${style.transitionProperty} takes ${style.transitionDuration}` });
+        }
+      }
+    }
+
+    // CSS animations and transitions are covered above through computed styles
+    for (const animation of document.getAnimations()) {
+      if (animation instanceof CSSAnimation || animation instanceof CSSTransition || animation.playState !== 'running') continue;
+      const { duration } = animation.effect.getComputedTiming();
+      if (duration > threshold) {
+        const target = animation.effect.target;
+        findings.push({ rule: 'script-animation', element: target ? describe(target) : '(no target)', detail: `Web Animation running for ${Math.round(duration)}ms per iteration` });
+      }
+    }
+
+    if (getComputedStyle(document.documentElement).scrollBehavior === 'smooth') {
+      findings.push({ rule: 'smooth-scroll', element: 'html', detail: 'scroll-behavior: smooth is still set' });
+    }
+    return findings;
+  }, MOTION_THRESHOLD_MS);
+}
+
+/**
+ * Records which elements are rendered, and how, before forced colours are
+ * switched on. Call findDisappearedElements() on the same page afterwards.
+ */
+export async function recordRenderedElements(page) {
+  await page.evaluate(() => {
+    // Replaced and form elements are content of their own, whatever their styles
+    const CONTENT = 'img, svg, canvas, video, picture, iframe, object, embed, input, select, textarea';
+    const transparent = color => color === 'transparent' || /^rgba\(.*,\s*0\)$/.test(color);
+
+    const backdrop = (element) => {
+      for (let node = element; node; node = node.parentElement) {
+        const color = getComputedStyle(node).backgroundColor;
+        if (!transparent(color)) return color;
+      }
+      return null;
+    };
+
+    const hasPseudoContent = element => ['::before', '::after'].some(pseudo => {
+      const content = getComputedStyle(element, pseudo).content;
+      return content !== 'none' && content !== 'normal' && content !== '""';
+    });
+
+    // Whether the element is shown, and what paints it when it has no content of its own
+    const rendered = (element) => {
+      const rect = element.getBoundingClientRect();
+      const shown = rect.width > 0 && rect.height > 0 && element.checkVisibility({ opacityProperty: true, visibilityProperty: true });
+      const style = getComputedStyle(element);
+      const paint = [];
+      if (!transparent(style.backgroundColor) && style.backgroundColor !== backdrop(element.parentElement)) paint.push('background-color');
+      if (style.backgroundImage !== 'none') paint.push('background-image');
+      if (style.boxShadow !== 'none') paint.push('box-shadow');
+      if (['Top', 'Right', 'Bottom', 'Left'].some(side => parseFloat(style[`border${side}Width`]) > 0
+        && !['none', 'hidden'].includes(style[`border${side}Style`]) && !transparent(style[`border${side}Color`]))) paint.push('border');
+      return { shown, paint };
+    };
+
+    const graphic = element => !element.textContent.trim() && !element.matches(CONTENT) && !element.querySelector(CONTENT) && !hasPseudoContent(element);
+
+    const describe = (element) => {
+      const id = element.id ? `#${element.id}` : '';
+      const classes = [...element.classList].slice(0, 2).map(name => `.${name}`).join('');
+      const label = (element.getAttribute('aria-label') || element.textContent || '').replace(/\s+/g, ' ').trim().slice(0, 60);
+      return { element: `${element.tagName.toLowerCase()}${id}${classes}`, label };
+    };
+
+    window.__forcedColorsCheck = {
+      rendered,
+      describe,
+      baseline: [...document.body.querySelectorAll('*')].map(element => ({ element, graphic: graphic(element), ...rendered(element) })),
+    };
+  });
+}
+
+/**
+ * Compares the page with what recordRenderedElements() saw. An element
+ * disappears when it is no longer shown at all, or when it has no text or
+ * image content and forced colours strips everything that painted it
+ * (icons, status dots and dividers drawn with background colour or shadows).
+ */
+export async function findDisappearedElements(page) {
+  return page.evaluate(() => {
+    const { rendered, describe, baseline } = window.__forcedColorsCheck;
+    const findings = [];
+    const reported = [];
+
+    for (const entry of baseline) {
+      if (!entry.shown || !entry.element.isConnected) continue;
+      // Everything inside an element that is already reported goes with it
+      if (reported.some(element => element.contains(entry.element))) continue;
+
+      const now = rendered(entry.element);
+      let detail = null;
+      if (!now.shown) {
+        detail = 'No longer shown in forced colours mode';
+      } else if (entry.graphic && entry.paint.length > 0 && now.paint.length === 0) {
+        detail = `Drawn only with ${entry.paint.join(', ')}, which forced colours removes`;
+      }
+      if (detail) {
+        reported.push(entry.element);
+        const { element, label } = describe(entry.element);
+        findings.push({ rule: 'disappears', element, detail: label ? `${detail} ("${label}")` : detail });
+      }
+    }
+    return findings;
+  });
+}
+
+export function formatPreferenceFinding(finding) {
+  return `${finding.rule} ${finding.element}: ${finding.detail}`;
+}
@@ -0,0 +1,224 @@
+import { findAllowlistEntry, loadHealthAllowlist } from './page-health';
+import { renderHtmlReport } from './html-report';
+
+// Records the requests a page makes, with their final status and size, and
+// audits them for failed subresources, mixed content and long redirect chains.
+
+// Redirect hops allowed before a request is flagged, overridable per run with
+// NETWORK_MAX_REDIRECTS (one hop covers http -> https or a trailing slash)
+export const DEFAULT_AUDIT_OPTIONS = {
+  maxRedirects: Number(process.env.NETWORK_MAX_REDIRECTS) || 1,
+};
+
+function describeUrl(url) {
+  try {
+    const { protocol, host } = new URL(url);
+    return { scheme: protocol.replace(/:$/, ''), host };
+  } catch (error) {
+    return { scheme: '', host: '' };
+  }
+}
+
+// URLs this request was redirected through, oldest first
+function redirectChainOf(request) {
+  const chain = [];
+  for (let previous = request.redirectedFrom(); previous; previous = previous.redirectedFrom()) {
+    chain.unshift(previous.url());
+  }
+  return chain;
+}
+
+/**
+ * Starts recording every request made by `page`. Call before `page.goto`,
+ * then `await tracker.settle()` to get the records once sizes are known.
+ *
+ * Each record has the URL, scheme, host, method, resource type, status,
+ * bytes, duration (ms, request start to response end) and the redirect chain
+ * that led to it. Redirect hops are recorded too, with their 3xx status.
+ */
+export function trackRequests(page) {
+  const records = [];
+  const pending = [];
+
+  page.on('requestfinished', (request) => {
+    pending.push((async () => {
+      const response = await request.response();
+      const sizes = await request.sizes().catch(() => null);
+      const timing = request.timing();
+      const redirectChain = redirectChainOf(request);
+      records.push({
+        url: request.url(),
+        ...describeUrl(request.url()),
+        method: request.method(),
+        resourceType: request.resourceType(),
+        status: response ? response.status() : null,
+        bytes: sizes ? sizes.responseBodySize + sizes.responseHeadersSize : 0,
+        duration: timing.responseEnd >= 0 ? Math.round(timing.responseEnd) : null,
+        redirects: redirectChain.length,
+        redirectChain,
+      });
+    })());
+  });
+
+  page.on('requestfailed', (request) => {
+    const redirectChain = redirectChainOf(request);
+    records.push({
+      url: request.url(),
+      ...describeUrl(request.url()),
+      method: request.method(),
+      resourceType: request.resourceType(),
+      status: null,
+      bytes: 0,
+      duration: null,
+      redirects: redirectChain.length,
+      redirectChain,
+      failure: request.failure() ? request.failure().errorText : 'failed',
+    });
+  });
+
+  return {
+    records,
+    async settle() {
+      await Promise.all(pending);
+      return records;
+    },
+  };
+}
+
+/**
+ * Chromium only: maps each response URL to the HTTP version it was served
+ * over (`h2`, `http/1.1`, `h3`), which Playwright's own API does not expose.
+ * Call before `page.goto`.
+ */
+export async function trackHttpVersions(page) {
+  const versions = new Map();
+  const session = await page.context().newCDPSession(page);
+  session.on('Network.responseReceived', ({ response }) => versions.set(response.url, response.protocol));
+  await session.send('Network.enable');
+  return versions;
+}
+
+/**
+ * Totals request counts and transfer sizes (in KB) per resource type.
+ * Requests to a host other than the page's are also counted as third-party.
+ */
+export function summarizeResources(records, pageUrl) {
+  const pageHost = new URL(pageUrl).hostname;
+  const sizes = { total: 0 };
+  const counts = { total: 0, 'third-party': 0 };
+
+  for (const record of records) {
+    const type = record.resourceType;
+    const kilobytes = record.bytes / 1024;
+    sizes.total += kilobytes;
+    sizes[type] = (sizes[type] || 0) + kilobytes;
+    counts.total += 1;
+    counts[type] = (counts[type] || 0) + 1;
+    if (new URL(record.url).hostname !== pageHost) {
+      counts['third-party'] += 1;
+    }
+  }
+
+  for (const type of Object.keys(sizes)) {
+    sizes[type] = Math.round(sizes[type] * 10) / 10;
+  }
+  return { sizes, counts };
+}
+
+/**
+ * Elements on the page that reference an http: resource. Browsers block or
+ * upgrade these on an HTTPS page, so they may never show up as requests.
+ */
+export async function findInsecureReferences(page) {
+  return page.evaluate(() => {
+    const attributes = [['img', 'src'], ['img', 'srcset'], ['source', 'src'], ['source', 'srcset'], ['script', 'src'], ['iframe', 'src'], ['video', 'src'], ['audio', 'src'], ['link[rel~="stylesheet"]', 'href'], ['link[rel~="preload"]', 'href'], ['link[rel~="icon"]', 'href'], ['form', 'action']];
+    const found = [];
+    for (const [selector, attribute] of attributes) {
+      for (const element of document.querySelectorAll(`${selector}[${attribute}*="http:"]`)) {
+        const value = element.getAttribute(attribute);
+        for (const url of value.split(',').map(candidate => candidate.trim().split(/\s+/)[0])) {
+          if (/^http:/i.test(url)) found.push({ element: element.tagName.toLowerCase(), attribute, url });
+        }
+      }
+    }
+    return found;
+  });
+}
+
+/**
+ * Audits the requests made while loading `pageUrl`. Returns findings for:
+ * - `http-error`: a subresource answered 4xx/5xx (allowlisted failed requests
+ *   in config/page-health-allowlist.json are skipped)
+ * - `mixed-content`: an http: request, or element referencing one, on an HTTPS page
+ * - `redirect-chain`: a request that went through more than `maxRedirects` redirects
+ */
+export function auditRequests(records, pageUrl, { maxRedirects = DEFAULT_AUDIT_OPTIONS.maxRedirects, insecureReferences = [], allowlist = loadHealthAllowlist(), browserName } = {}) {
+  const findings = [];
+  const secure = describeUrl(pageUrl).scheme === 'https';
+
+  for (const record of records) {
+    const isPage = record.resourceType === 'document' && record.url === pageUrl;
+    if (record.status >= 400 && !isPage) {
+      const allowed = findAllowlistEntry({ kind: 'failed-request', message: `HTTP ${record.status}`, url: record.url }, allowlist, browserName);
+      if (!allowed) findings.push({ rule: 'http-error', url: record.url, detail: `${record.resourceType} returned HTTP ${record.status}` });
+    }
+    if (secure && ['http', 'ws'].includes(record.scheme)) {
+      findings.push({ rule: 'mixed-content', url: record.url, detail: `${record.resourceType} loaded over ${record.scheme}:` });
+    }
+    if (record.redirects > maxRedirects) {
+      findings.push({ rule: 'redirect-chain', url: record.url, detail: `${record.redirects} redirects (max ${maxRedirects}): ${[...record.redirectChain, record.url].join(' -> ')}` });
+    }
+  }
+
+  if (secure) {
+    for (const reference of insecureReferences) {
+      if (findings.some(finding => finding.rule === 'mixed-content' && finding.url === reference.url)) continue;
+      findings.push({ rule: 'mixed-content', url: reference.url, detail: `<${reference.element} ${reference.attribute}> references an http: URL` });
+    }
+  }
+  return findings;
+}
+
+export function formatNetworkFinding(finding) {
+  return `${finding.rule}: ${finding.url} - ${finding.detail}`;
+}
+
+/**
+ * JSON and HTML report with one resource table per page. Each page is
+ * `{ url, records, findings }`.
+ */
+export function networkReport(pages) {
+  const findings = pages.flatMap(entry => entry.findings);
+  const summary = {
+    'Pages audited': pages.length,
+    'Requests': pages.reduce((total, entry) => total + entry.records.length, 0),
+    'Failed subresources': findings.filter(finding => finding.rule === 'http-error').length,
+    'Mixed content': findings.filter(finding => finding.rule === 'mixed-content').length,
+    'Long redirect chains': findings.filter(finding => finding.rule === 'redirect-chain').length,
+  };
+
+  const html = renderHtmlReport({
+    title: 'Network Audit',
+    summary,
+    columns: [
+      { key: 'url', label: 'URL' },
+      { key: 'resourceType', label: 'Type' },
+      { key: 'status', label: 'Status', format: record => record.status ?? record.failure },
+      { key: 'scheme', label: 'Protocol', format: record => [record.scheme, record.httpVersion].filter(Boolean).join(' ') },
+      { key: 'host', label: 'Host' },
+      { key: 'bytes', label: 'Size (KB)', format: record => (record.bytes / 1024).toFixed(1) },
+      { key: 'duration', label: 'Time (ms)', format: record => record.duration ?? '' },
+      { key: 'redirects', label: 'Redirects', format: record => record.redirectChain.join('\n') },
+      { key: 'findings', label: 'Findings', format: record => record.findings.join('\n') },
+    ],
+    sections: pages.map(entry => ({
+      title: `${entry.url} (${entry.records.length} requests, ${entry.findings.length} findings)`,
+      rows: entry.records.map(record => ({
+        ...record,
+        findings: entry.findings.filter(finding => finding.url === record.url).map(finding => finding.rule),
+      })),
+    })),
+  });
+
+  return { json: { summary, pages }, html };
+}
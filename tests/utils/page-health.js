@@ -0,0 +1,117 @@
+import fs from 'fs';
+import path from 'path';
+import { matchesPath } from './budgets';
+
+// Console errors, uncaught page errors and failed requests seen during a
+// test. Known noise is listed in config/page-health-allowlist.json
+// (override with PAGE_HEALTH_ALLOWLIST); anything else is unexpected.
+const ALLOWLIST_FILE = process.env.PAGE_HEALTH_ALLOWLIST || path.join(__dirname, '..', '..', 'config', 'page-health-allowlist.json');
+
+export const ISSUE_KINDS = ['console-error', 'page-error', 'failed-request'];
+
+export function loadHealthAllowlist(file = ALLOWLIST_FILE) {
+  return JSON.parse(fs.readFileSync(file, 'utf8')).allow || [];
+}
+
+/**
+ * An allowlist entry matches when every field it sets matches: `kind`,
+ * `message` and `url` (`*` wildcards, case-insensitive) and `browsers`.
+ * Returns the matching entry, or undefined.
+ */
+export function findAllowlistEntry(issue, allowlist, browserName) {
+  const matches = (pattern, value) => matchesPath(pattern.toLowerCase(), String(value || '').toLowerCase());
+  return allowlist.find(entry => (!entry.kind || entry.kind === issue.kind)
+    && (!entry.message || matches(entry.message, issue.message))
+    && (!entry.url || matches(entry.url, issue.url))
+    && (!entry.browsers || entry.browsers.includes(browserName)));
+}
+
+/**
+ * Creates a monitor that records issues from every page it watches. Pages are
+ * added with `watch(page)`; pages opened later in the same context (popups,
+ * new tabs) are watched too.
+ *
+ * Set `strict` to fail the test on any unexpected issue.
+ */
+export function createPageHealthMonitor({ allowlist = loadHealthAllowlist(), browserName, strict = false } = {}) {
+  const watched = new WeakSet();
+  const contexts = new WeakSet();
+
+  const monitor = {
+    strict,
+    issues: [],
+
+    record(issue) {
+      const entry = findAllowlistEntry(issue, allowlist, browserName);
+      monitor.issues.push({ ...issue, allowed: Boolean(entry), ...(entry ? { reason: entry.reason } : {}) });
+    },
+
+    watch(page) {
+      if (watched.has(page)) return;
+      watched.add(page);
+
+      page.on('console', (message) => {
+        if (message.type() !== 'error') return;
+        monitor.record({ kind: 'console-error', message: message.text(), url: message.location().url || page.url() });
+      });
+      page.on('pageerror', (error) => {
+        monitor.record({ kind: 'page-error', message: error.message, url: page.url(), stack: error.stack });
+      });
+      page.on('requestfailed', (request) => {
+        const failure = request.failure();
+        monitor.record({ kind: 'failed-request', message: failure ? failure.errorText : 'failed', url: request.url(), resourceType: request.resourceType() });
+      });
+      page.on('response', (response) => {
+        if (response.status() < 400) return;
+        monitor.record({ kind: 'failed-request', message: `HTTP ${response.status()}`, url: response.url(), resourceType: response.request().resourceType() });
+      });
+
+      const context = page.context();
+      if (!contexts.has(context)) {
+        contexts.add(context);
+        context.on('page', newPage => monitor.watch(newPage));
+      }
+    },
+
+    /**
+     * Issues not covered by the allowlist, optionally of the given kinds.
+     */
+    unexpected(...kinds) {
+      return monitor.issues.filter(issue => !issue.allowed && (kinds.length === 0 || kinds.includes(issue.kind)));
+    },
+  };
+
+  return monitor;
+}
+
+export function formatIssue(issue) {
+  const where = issue.url ? ` (${issue.url})` : '';
+  return `${issue.kind}: ${issue.message}${where}`;
+}
+
+function countLabel(issues) {
+  return ISSUE_KINDS
+    .map(kind => [kind, issues.filter(issue => issue.kind === kind).length])
+    .filter(([, count]) => count > 0)
+    .map(([kind, count]) => `${count} ${kind}${count === 1 ? '' : 's'}`)
+    .join(', ');
+}
+
+/**
+ * Attaches the recorded issues to the test as page-health.json with an
+ * annotation counting them. Nothing is added for a clean test.
+ */
+export async function recordPageHealth(testInfo, monitor) {
+  if (monitor.issues.length === 0) return;
+
+  const unexpected = monitor.unexpected();
+  const allowed = monitor.issues.length - unexpected.length;
+  testInfo.annotations.push({
+    type: 'page-health',
+    description: `${countLabel(monitor.issues)}${allowed > 0 ? ` (${allowed} allowlisted)` : ''}${monitor.strict ? ', strict' : ''}`,
+  });
+  await testInfo.attach('page-health.json', {
+    body: JSON.stringify({ strict: monitor.strict, unexpected: unexpected.length, issues: monitor.issues }, null, 2),
+    contentType: 'application/json',
+  });
+}
@@ -0,0 +1,100 @@
+// Parses robots.txt the way search engines read it (RFC 9309): rules are
+// grouped by user agent, `*` and `$` work as wildcards in paths, and the
+// longest matching rule wins, with `Allow` winning a tie.
+
+// Crawlers that must never be shut out of an indexable environment
+export const SEARCH_ENGINE_AGENTS = ['*', 'Googlebot', 'Bingbot'];
+
+const KNOWN_FIELDS = ['user-agent', 'allow', 'disallow', 'sitemap', 'crawl-delay', 'host'];
+
+/**
+ * Parses robots.txt into `{ groups, sitemaps, warnings }`. Each group is
+ * `{ userAgents, rules }`, with rules as `{ type: 'allow' | 'disallow', path }`.
+ * Unknown or malformed lines become warnings with their line number.
+ */
+export function parseRobots(text) {
+  const groups = [];
+  const sitemaps = [];
+  const warnings = [];
+  let group = null;
+
+  text.split(/\r?\n/).forEach((raw, index) => {
+    const line = raw.replace(/#.*$/, '').trim();
+    if (!line) return;
+
+    const match = line.match(/^([A-Za-z-]+)\s*:\s*(.*)$/);
+    if (!match) {
+      warnings.push({ line: index + 1, detail: `Not a "field: value" line: ${raw.trim()}` });
+      return;
+    }
+    const field = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (!KNOWN_FIELDS.includes(field)) {
+      warnings.push({ line: index + 1, detail: `Unknown field "${match[1]}"` });
+    } else if (field === 'sitemap') {
+      sitemaps.push(value);
+    } else if (field === 'user-agent') {
+      // Consecutive user-agent lines share one group
+      if (!group || group.rules.length > 0) {
+        group = { userAgents: [], rules: [] };
+        groups.push(group);
+      }
+      group.userAgents.push(value);
+    } else if (field === 'allow' || field === 'disallow') {
+      if (!group) {
+        warnings.push({ line: index + 1, detail: `${match[1]} before any User-agent line is ignored` });
+      } else if (value) {
+        // An empty Disallow allows everything, so it adds no rule
+        group.rules.push({ type: field, path: value });
+      }
+    }
+  });
+
+  return { groups, sitemaps, warnings };
+}
+
+/**
+ * The rules that apply to `userAgent`: those of every group naming it
+ * (case-insensitive), or of the `*` groups when none does.
+ */
+export function rulesFor(robots, userAgent = '*') {
+  const name = userAgent.toLowerCase();
+  const named = robots.groups.filter(group => name !== '*' && group.userAgents.some(agent => agent.toLowerCase() === name));
+  const groups = named.length > 0 ? named : robots.groups.filter(group => group.userAgents.includes('*'));
+  return groups.flatMap(group => group.rules);
+}
+
+function pathPattern(path) {
+  const anchored = path.endsWith('$');
+  const source = (anchored ? path.slice(0, -1) : path)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}${anchored ? '$' : ''}`);
+}
+
+/**
+ * True when `userAgent` may crawl `url` (absolute, or a path).
+ */
+export function isAllowed(robots, url, userAgent = '*') {
+  const { pathname, search } = new URL(url, 'http://robots.invalid');
+  const target = `${pathname}${search}`;
+
+  let winner = null;
+  for (const rule of rulesFor(robots, userAgent)) {
+    if (!pathPattern(rule.path).test(target)) continue;
+    if (!winner || rule.path.length > winner.path.length || (rule.path.length === winner.path.length && rule.type === 'allow')) {
+      winner = rule;
+    }
+  }
+  return !winner || winner.type === 'allow';
+}
+
+/**
+ * The agents in `agents` that robots.txt shuts out of the whole site, i.e.
+ * that may not crawl the home page or an arbitrary page.
+ */
+export function findSiteWideBlocks(robots, agents = SEARCH_ENGINE_AGENTS) {
+  return agents.filter(agent => !isAllowed(robots, '/', agent) || !isAllowed(robots, '/any-page/', agent));
+}
@@ -0,0 +1,262 @@
+import fs from 'fs';
+import path from 'path';
+import { matchesPath } from './budgets';
+import { renderHtmlReport } from './html-report';
+
+// Scans the scripts, JSON and source maps a page loads for leaked secrets.
+// Known false positives are listed in config/secret-allowlist.json
+// (override with SECRET_ALLOWLIST).
+const ALLOWLIST_FILE = process.env.SECRET_ALLOWLIST || path.join(__dirname, '..', '..', 'config', 'secret-allowlist.json');
+
+// Generic strings need at least this many characters and bits of entropy per character
+const HIGH_ENTROPY = {
+  minLength: 32,
+  base64: 4.5,
+  hex: 3.5,
+};
+
+export const SECRET_SIGNATURES = [
+  { id: 'aws-access-key-id', label: 'AWS access key ID', pattern: /\b(?:AKIA|ASIA|ABIA|ACCA)[0-9A-Z]{16}\b/g },
+  { id: 'aws-secret-access-key', label: 'AWS secret access key', pattern: /aws.{0,20}?(?:secret|private).{0,20}?['"`]([A-Za-z0-9/+=]{40})['"`]/gi },
+  { id: 'private-key', label: 'Private key block', pattern: /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?-----/g },
+  { id: 'jwt', label: 'JSON Web Token', pattern: /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g },
+  { id: 'google-api-key', label: 'Google API key', pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+];
+
+export function loadSecretAllowlist(file = ALLOWLIST_FILE) {
+  return JSON.parse(fs.readFileSync(file, 'utf8')).allow || [];
+}
+
+/**
+ * Shannon entropy of a string, in bits per character.
+ */
+export function shannonEntropy(value) {
+  const counts = new Map();
+  for (const char of value) counts.set(char, (counts.get(char) || 0) + 1);
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const p = count / value.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+/**
+ * True for quoted strings that look like random keys: long hex, or long
+ * base64 mixing upper case, lower case and digits, with high entropy.
+ */
+export function isHighEntropy(value) {
+  if (value.length < HIGH_ENTROPY.minLength) return false;
+  if (/^[0-9a-f]+$/i.test(value)) return shannonEntropy(value) >= HIGH_ENTROPY.hex;
+  if (!/^[A-Za-z0-9+/_-]+={0,2}$/.test(value)) return false;
+  if (!/[A-Z]/.test(value) || !/[a-z]/.test(value) || !/[0-9]/.test(value)) return false;
+  return shannonEntropy(value) >= HIGH_ENTROPY.base64;
+}
+
+/**
+ * Converts a character offset into a 1-based line and column.
+ */
+export function lineAndColumn(text, index) {
+  const before = text.slice(0, index);
+  const line = before.split('\n').length;
+  return { line, column: index - before.lastIndexOf('\n') };
+}
+
+// Keeps enough of a secret to find it again without copying it into the report
+function redact(value) {
+  return value.length <= 12 ? `${value.slice(0, 2)}…` : `${value.slice(0, 6)}…${value.slice(-4)}`;
+}
+
+/**
+ * Returns one finding per signature match in `text`. `location` is merged
+ * into each finding (the URL, plus the original file for source maps).
+ */
+export function scanText(text, location) {
+  const findings = [];
+  const add = (signature, value, index) => {
+    findings.push({ ...location, ...lineAndColumn(text, index), signature: signature.id, label: signature.label, match: redact(value), value });
+  };
+
+  for (const signature of SECRET_SIGNATURES) {
+    for (const match of text.matchAll(signature.pattern)) {
+      const value = match[1] || match[0];
+      add(signature, value, match.index + match[0].indexOf(value));
+    }
+  }
+
+  // Strings already caught by a named signature are not reported again
+  const named = new Set(findings.map(finding => finding.value));
+  const generic = { id: 'high-entropy-string', label: 'High-entropy string' };
+  for (const match of text.matchAll(/(['"`])([A-Za-z0-9+/=_-]{32,})\1/g)) {
+    const value = match[2];
+    // Subresource integrity hashes are expected to be random
+    if (/^sha(256|384|512)-/.test(value)) continue;
+    if (!named.has(value) && isHighEntropy(value)) {
+      add(generic, value, match.index + 1);
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * An allowlist entry matches when every field it sets matches: `signature`,
+ * `url` (`*` wildcards) and `value` (the exact secret). Each entry should
+ * carry a `reason`.
+ */
+export function isAllowed(finding, allowlist) {
+  return allowlist.some(entry => (!entry.signature || entry.signature === finding.signature)
+    && (!entry.url || matchesPath(entry.url, finding.url))
+    && (!entry.value || entry.value === finding.value));
+}
+
+function isScannable(url, contentType) {
+  return /javascript|ecmascript|json/i.test(contentType) || /\.(m?js|json|map)(\?|$)/i.test(url);
+}
+
+/**
+ * Starts capturing the body of every document, script, JSON and source-map
+ * response `page` receives. Call before `page.goto`, then
+ * `await capture.settle()` once the page has loaded.
+ */
+export function captureSources(page) {
+  const sources = [];
+  const pending = [];
+
+  page.on('response', (response) => {
+    const url = response.url();
+    const headers = response.headers();
+    const contentType = headers['content-type'] || '';
+    const isDocument = response.request().resourceType() === 'document';
+    if (!isDocument && !isScannable(url, contentType)) return;
+
+    pending.push(response.text().then((text) => {
+      sources.push({
+        url,
+        kind: isDocument ? 'document' : /\.map(\?|$)/i.test(url) ? 'source-map' : /json/i.test(contentType) ? 'json' : 'script',
+        text,
+        sourceMapUrl: headers['sourcemap'] || headers['x-sourcemap'] || null,
+      });
+    }).catch(() => {
+      // Redirects and aborted requests have no body
+    }));
+  });
+
+  return {
+    sources,
+    async settle() {
+      await Promise.all(pending);
+      return sources;
+    },
+  };
+}
+
+// The last sourceMappingURL comment wins, as in browsers
+function sourceMapReference(source) {
+  if (source.sourceMapUrl) return source.sourceMapUrl;
+  const comments = [...source.text.matchAll(/[#@] sourceMappingURL=(\S+)/g)];
+  return comments.length ? comments[comments.length - 1][1] : null;
+}
+
+/**
+ * Browsers only download source maps when dev tools are open, so the maps
+ * referenced by captured scripts are fetched here. Inline `data:` maps are
+ * decoded. Returns the maps as extra sources.
+ */
+export async function fetchSourceMaps(request, sources) {
+  const seen = new Set(sources.map(source => source.url));
+  const maps = [];
+
+  for (const source of sources.filter(source => source.kind === 'script')) {
+    const reference = sourceMapReference(source);
+    if (!reference) continue;
+
+    if (reference.startsWith('data:')) {
+      const [meta, data] = reference.split(',');
+      const text = meta.endsWith(';base64') ? Buffer.from(data, 'base64').toString('utf8') : decodeURIComponent(data);
+      maps.push({ url: `${source.url} (inline source map)`, kind: 'source-map', text });
+      continue;
+    }
+
+    const url = new URL(reference, source.url).href;
+    if (seen.has(url)) continue;
+    seen.add(url);
+
+    const response = await request.get(url, { failOnStatusCode: false }).catch(() => null);
+    if (response && response.ok()) {
+      maps.push({ url, kind: 'source-map', text: await response.text() });
+    }
+  }
+
+  return maps;
+}
+
+/**
+ * Scans every source and splits the findings into `findings` and `allowed`.
+ * Source maps are scanned through their `sourcesContent`, so locations point
+ * into the original files.
+ */
+export function scanSources(sources, allowlist = loadSecretAllowlist()) {
+  const all = [];
+
+  for (const source of sources) {
+    let map = null;
+    if (source.kind === 'source-map') {
+      try {
+        map = JSON.parse(source.text);
+      } catch (error) {
+        // Not JSON; scanned as plain text below
+      }
+    }
+
+    if (map && Array.isArray(map.sourcesContent)) {
+      map.sourcesContent.forEach((content, index) => {
+        if (content) all.push(...scanText(content, { url: source.url, kind: source.kind, originalSource: (map.sources || [])[index] || null }));
+      });
+    } else {
+      all.push(...scanText(source.text, { url: source.url, kind: source.kind }));
+    }
+  }
+
+  // The raw value is only needed for allowlist matching
+  const strip = ({ value, ...finding }) => finding;
+  return {
+    scanned: sources.map(source => ({ url: source.url, kind: source.kind })),
+    findings: all.filter(finding => !isAllowed(finding, allowlist)).map(strip),
+    allowed: all.filter(finding => isAllowed(finding, allowlist)).map(strip),
+  };
+}
+
+/**
+ * e.g. "https://example.com/app.js:12:34 AWS access key ID (AKIAIO…MPLE)"
+ */
+export function formatSecretFinding(finding) {
+  const original = finding.originalSource ? ` (${finding.originalSource})` : '';
+  return `${finding.url}${original}:${finding.line}:${finding.column} ${finding.label} (${finding.match})`;
+}
+
+/**
+ * Builds the JSON and HTML secret-scan report.
+ */
+export function secretReport(result) {
+  const summary = {
+    'Responses scanned': result.scanned.length,
+    'Source maps scanned': result.scanned.filter(source => source.kind === 'source-map').length,
+    'Findings': result.findings.length,
+    'Allowlisted': result.allowed.length,
+  };
+
+  const html = renderHtmlReport({
+    title: 'Secret Scan Report',
+    summary,
+    columns: [
+      { key: 'label', label: 'Signature' },
+      { key: 'url', label: 'URL', format: finding => finding.originalSource ? `${finding.url}\n${finding.originalSource}` : finding.url },
+      { key: 'line', label: 'Line:Column', format: finding => `${finding.line}:${finding.column}` },
+      { key: 'match', label: 'Match (redacted)' },
+    ],
+    rows: result.findings,
+  });
+
+  return { json: { summary, ...result }, html };
+}
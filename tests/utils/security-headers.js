@@ -0,0 +1,216 @@
+import fs from 'fs';
+import path from 'path';
+import { resolveEnvironment } from '../../config/environments';
+
+// Security-header policy lives in config/security-policy.json (override with
+// SECURITY_POLICY). Each environment's rules are merged over `default`; the
+// environment is the one selected by TEST_ENV (config/environments.json).
+const POLICY_FILE = process.env.SECURITY_POLICY || path.join(__dirname, '..', '..', 'config', 'security-policy.json');
+
+// Directives where a wildcard lets other origins run code, embed or redirect the page
+const WILDCARD_DIRECTIVES = ['script-src', 'object-src', 'base-uri', 'frame-ancestors', 'form-action'];
+
+// Fetch directives that fall back to default-src when they are not set
+const FALLBACK_DIRECTIVES = ['script-src', 'style-src', 'object-src'];
+
+export function loadSecurityPolicy(environment = resolveEnvironment().name, file = POLICY_FILE) {
+  const policies = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!policies[environment]) {
+    throw new Error(`No security policy for environment "${environment}" in ${file}`);
+  }
+
+  const base = policies.default || {};
+  const overrides = policies[environment];
+  const headers = {};
+  for (const name of new Set([...Object.keys(base.headers || {}), ...Object.keys(overrides.headers || {})])) {
+    headers[name] = { ...(base.headers || {})[name], ...(overrides.headers || {})[name] };
+  }
+
+  return {
+    environment,
+    requireHttps: overrides.requireHttps ?? base.requireHttps ?? true,
+    headers,
+    csp: {
+      requiredDirectives: (overrides.csp || {}).requiredDirectives || (base.csp || {}).requiredDirectives || [],
+      severities: { ...(base.csp || {}).severities, ...(overrides.csp || {}).severities },
+    },
+  };
+}
+
+/**
+ * Parses a Content-Security-Policy header into one Map per policy, from
+ * lower-case directive name to its source list. Repeated headers arrive
+ * comma- or newline-separated and are separate policies.
+ */
+export function parseCsp(value) {
+  return value.split(/[,\n]/).map(policy => {
+    const directives = new Map();
+    for (const part of policy.split(';')) {
+      const [name, ...sources] = part.trim().split(/\s+/).filter(Boolean);
+      // Browsers ignore a repeated directive
+      if (name && !directives.has(name.toLowerCase())) {
+        directives.set(name.toLowerCase(), sources);
+      }
+    }
+    return directives;
+  }).filter(directives => directives.size > 0);
+}
+
+function effectiveSources(directives, name) {
+  if (directives.has(name)) return { directive: name, sources: directives.get(name) };
+  if (FALLBACK_DIRECTIVES.includes(name) && directives.has('default-src')) {
+    return { directive: 'default-src', sources: directives.get('default-src') };
+  }
+  return null;
+}
+
+// A nonce or hash makes browsers ignore 'unsafe-inline'
+function allowsInline(sources) {
+  const lower = sources.map(source => source.toLowerCase());
+  return lower.includes("'unsafe-inline'") && !lower.some(source => /^'(nonce|sha256|sha384|sha512)-/.test(source));
+}
+
+function isWildcard(source) {
+  return source === '*' || /^(https?|data|blob):$/i.test(source);
+}
+
+/**
+ * Checks a Content-Security-Policy value and returns one finding per problem:
+ * `unsafe-inline-script`, `unsafe-eval`, `unsafe-inline-style`,
+ * `wildcard-source`, `wildcard-subdomain`, `insecure-source` and
+ * `missing-directive`. Each finding's severity comes from `cspPolicy.severities`.
+ */
+export function analyzeCsp(value, cspPolicy) {
+  const findings = [];
+  const add = (rule, directive, message) => {
+    findings.push({ severity: cspPolicy.severities[rule] || 'warn', rule, header: 'content-security-policy', directive, message });
+  };
+
+  const policies = parseCsp(value);
+  for (const directives of policies) {
+    const script = effectiveSources(directives, 'script-src');
+    if (script && allowsInline(script.sources)) {
+      add('unsafe-inline-script', script.directive, `${script.directive} allows 'unsafe-inline' without a nonce or hash`);
+    }
+    if (script && script.sources.some(source => source.toLowerCase() === "'unsafe-eval'")) {
+      add('unsafe-eval', script.directive, `${script.directive} allows 'unsafe-eval'`);
+    }
+
+    const style = effectiveSources(directives, 'style-src');
+    if (style && allowsInline(style.sources)) {
+      add('unsafe-inline-style', style.directive, `${style.directive} allows 'unsafe-inline' without a nonce or hash`);
+    }
+
+    // Several directives can fall back to default-src; check it once
+    const checked = new Set();
+    for (const name of WILDCARD_DIRECTIVES) {
+      const effective = effectiveSources(directives, name);
+      if (!effective || checked.has(effective.directive)) continue;
+      checked.add(effective.directive);
+      for (const source of effective.sources) {
+        if (isWildcard(source)) {
+          add('wildcard-source', effective.directive, `${effective.directive} allows any source through ${source}`);
+        } else if (/^(https?:\/\/)?\*\./i.test(source)) {
+          add('wildcard-subdomain', effective.directive, `${effective.directive} allows every subdomain through ${source}`);
+        }
+      }
+    }
+
+    for (const [name, sources] of directives) {
+      for (const source of sources.filter(source => /^http:\/\//i.test(source))) {
+        add('insecure-source', name, `${name} allows ${source} over plain HTTP`);
+      }
+    }
+  }
+
+  // Every policy is enforced, so a directive set in any of them counts
+  for (const name of cspPolicy.requiredDirectives) {
+    if (!policies.some(directives => directives.has(name))) {
+      add('missing-directive', name, `${name} is not set`);
+    }
+  }
+
+  return findings;
+}
+
+function checkHsts(value, rule) {
+  const problems = [];
+  const maxAge = value.match(/max-age\s*=\s*"?(\d+)"?/i);
+  if (!maxAge) {
+    problems.push('max-age is missing');
+  } else if (rule.minMaxAge && Number(maxAge[1]) < rule.minMaxAge) {
+    problems.push(`max-age=${maxAge[1]} is below ${rule.minMaxAge}`);
+  }
+  if (rule.includeSubDomains && !/includesubdomains/i.test(value)) {
+    problems.push('includeSubDomains is missing');
+  }
+  return problems;
+}
+
+/**
+ * Checks response headers against the policy's header rules and returns one
+ * finding per missing header or disallowed value. The CSP value itself is
+ * left to `analyzeCsp`.
+ */
+export function checkSecurityHeaders(headers, policy) {
+  const findings = [];
+  const csp = headers['content-security-policy'];
+
+  for (const [name, rule] of Object.entries(policy.headers)) {
+    const severity = rule.severity || 'error';
+    const value = headers[name];
+
+    if (!value) {
+      const satisfiedByCsp = rule.satisfiedByCsp && csp && parseCsp(csp).some(directives => directives.has(rule.satisfiedByCsp));
+      if (rule.required && !satisfiedByCsp) {
+        findings.push({ severity, rule: 'missing-header', header: name, message: `${name} is missing` });
+      }
+      continue;
+    }
+
+    if (rule.allowed) {
+      // Referrer-Policy may list fallbacks; browsers use the last one they understand
+      const actual = value.split(',').pop().trim().toLowerCase();
+      if (!rule.allowed.some(allowed => allowed.toLowerCase() === actual)) {
+        findings.push({ severity, rule: 'disallowed-value', header: name, value, message: `${name}: "${value}" is not one of ${rule.allowed.join(', ')}` });
+      }
+    }
+
+    if (name === 'strict-transport-security') {
+      for (const problem of checkHsts(value, rule)) {
+        findings.push({ severity, rule: 'weak-hsts', header: name, value, message: `${name}: ${problem}` });
+      }
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Splits findings into `errors` (fail the test) and `warnings` (reported
+ * only). `info` findings are kept in the attachment and nowhere else.
+ */
+export function partitionFindings(findings) {
+  return {
+    errors: findings.filter(finding => finding.severity === 'error'),
+    warnings: findings.filter(finding => finding.severity === 'warn'),
+  };
+}
+
+export function formatFinding(finding) {
+  return `[${finding.severity}] ${finding.message}`;
+}
+
+/**
+ * Adds a `security:<rule>` annotation per error and warning and attaches all findings.
+ */
+export async function recordSecurityFindings(testInfo, name, { url, policy, findings }) {
+  for (const finding of findings.filter(finding => ['warn', 'error'].includes(finding.severity))) {
+    testInfo.annotations.push({ type: `security:${finding.rule}`, description: formatFinding(finding) });
+  }
+
+  await testInfo.attach(name, {
+    body: JSON.stringify({ url, environment: policy.environment, findings }, null, 2),
+    contentType: 'application/json',
+  });
+}
@@ -0,0 +1,146 @@
+import fs from 'fs';
+import path from 'path';
+import { matchesPath } from './budgets';
+import { renderHtmlReport } from './html-report';
+
+// On-page SEO rules for every crawled page: title and description lengths,
+// and the paths allowed to be noindex on an indexable environment. They live
+// in config/seo.json (override with SEO_RULES).
+const RULES_FILE = process.env.SEO_RULES || path.join(__dirname, '..', '..', 'config', 'seo.json');
+
+export function loadSeoRules(file = RULES_FILE) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Reads the title, meta descriptions, h1s, robots directives and canonical
+ * links of the page.
+ */
+export async function extractSeoData(page) {
+  return page.evaluate(() => {
+    const text = element => element.textContent.replace(/\s+/g, ' ').trim();
+    const contents = selector => [...document.querySelectorAll(selector)].map(meta => (meta.getAttribute('content') || '').trim());
+    return {
+      title: document.title.replace(/\s+/g, ' ').trim(),
+      descriptions: contents('meta[name="description" i]'),
+      h1s: [...document.querySelectorAll('h1')].map(text),
+      robots: contents('meta[name="robots" i], meta[name="googlebot" i]'),
+      canonicals: [...document.querySelectorAll('link[rel~="canonical" i]')].map(link => link.href),
+    };
+  });
+}
+
+/**
+ * True when any robots directive (meta robots or X-Robots-Tag) keeps the
+ * page out of search results.
+ */
+export function isNoindex(directives) {
+  return directives.some(directive => /\b(noindex|none)\b/i.test(directive));
+}
+
+function checkLength(findings, rule, label, value, { min, max }) {
+  if (value.length < min || value.length > max) {
+    findings.push({ rule, detail: `${label} is ${value.length} characters, expected ${min}-${max}` });
+  }
+}
+
+/**
+ * Checks one page. `xRobotsTag` is the X-Robots-Tag response header. On an
+ * `indexable` environment, noindex is only allowed on `noindexAllowed` paths.
+ * Returns findings as `{ rule, detail }`.
+ */
+export function auditSeoPage(data, { url, xRobotsTag = '' }, { canonicalHost, indexable }, rules = loadSeoRules()) {
+  const findings = [];
+  const finding = (rule, detail) => findings.push({ rule, detail });
+
+  if (!data.title) finding('missing-title', 'No <title> or an empty one');
+  else checkLength(findings, 'title-length', 'Title', data.title, rules.title);
+
+  const descriptions = data.descriptions.filter(Boolean);
+  if (descriptions.length === 0) finding('missing-description', 'No meta description or an empty one');
+  else checkLength(findings, 'description-length', 'Description', descriptions[0], rules.description);
+  if (data.descriptions.length > 1) finding('multiple-descriptions', `${data.descriptions.length} meta descriptions`);
+
+  if (data.h1s.length === 0) finding('missing-h1', 'No <h1>');
+  if (data.h1s.length > 1) finding('multiple-h1', `${data.h1s.length} h1s: ${data.h1s.map(h1 => `"${h1}"`).join(', ')}`);
+
+  const directives = [...data.robots, xRobotsTag].filter(Boolean);
+  const { pathname } = new URL(url);
+  if (indexable && isNoindex(directives) && !rules.noindexAllowed.some(entry => matchesPath(entry.path, pathname))) {
+    finding('noindex', `Kept out of search results by "${directives.join('", "')}"`);
+  }
+
+  if (data.canonicals.length > 1) finding('multiple-canonicals', `${data.canonicals.length} canonical links`);
+  for (const canonical of data.canonicals) {
+    if (new URL(canonical).host !== canonicalHost) finding('canonical-off-site', `Canonical ${canonical} is not on ${canonicalHost}`);
+  }
+
+  return findings;
+}
+
+/**
+ * Adds `duplicate-title` and `duplicate-description` findings to pages that
+ * share a title or description (ignoring case and spacing) with another page.
+ * Each page is `{ url, data, findings }`; returns new page objects.
+ */
+export function withDuplicates(pages) {
+  const groups = (valueOf) => {
+    const byValue = new Map();
+    for (const entry of pages) {
+      const value = (valueOf(entry.data) || '').toLowerCase();
+      if (!value) continue;
+      byValue.set(value, [...(byValue.get(value) || []), entry.url]);
+    }
+    return byValue;
+  };
+  const titles = groups(data => data.title);
+  const descriptions = groups(data => data.descriptions.find(Boolean));
+
+  return pages.map(entry => {
+    const findings = [...entry.findings];
+    const sameTitle = (titles.get((entry.data.title || '').toLowerCase()) || []).filter(url => url !== entry.url);
+    if (sameTitle.length > 0) findings.push({ rule: 'duplicate-title', detail: `Same title as ${sameTitle.join(', ')}` });
+    const sameDescription = (descriptions.get((entry.data.descriptions.find(Boolean) || '').toLowerCase()) || []).filter(url => url !== entry.url);
+    if (sameDescription.length > 0) findings.push({ rule: 'duplicate-description', detail: `Same description as ${sameDescription.join(', ')}` });
+    return { ...entry, findings };
+  });
+}
+
+export function formatSeoFinding(finding) {
+  return `${finding.rule}: ${finding.detail}`;
+}
+
+/**
+ * JSON and HTML report with one sortable row per page, titled with the
+ * environment name. Each page is `{ url, data, noindex, findings }`.
+ */
+export function seoReport(pages, environmentName) {
+  const count = rule => pages.filter(entry => entry.findings.some(finding => finding.rule === rule)).length;
+  const summary = {
+    'Environment': environmentName,
+    'Pages audited': pages.length,
+    'Pages with issues': pages.filter(entry => entry.findings.length > 0).length,
+    'Pages with a duplicate title': count('duplicate-title'),
+    'Pages with a duplicate description': count('duplicate-description'),
+  };
+
+  const html = renderHtmlReport({
+    title: `SEO Audit: ${environmentName}`,
+    summary,
+    sortable: true,
+    columns: [
+      { key: 'url', label: 'URL' },
+      { key: 'title', label: 'Title', format: entry => entry.data.title },
+      { key: 'titleLength', label: 'Title length', format: entry => entry.data.title.length },
+      { key: 'descriptionLength', label: 'Description length', format: entry => (entry.data.descriptions.find(Boolean) || '').length },
+      { key: 'h1s', label: 'h1s', format: entry => entry.data.h1s.length },
+      { key: 'indexing', label: 'Indexing', format: entry => entry.noindex ? 'noindex' : 'index' },
+      { key: 'canonical', label: 'Canonical', format: entry => entry.data.canonicals.join('\n') },
+      { key: 'issueCount', label: 'Issues', format: entry => entry.findings.length },
+      { key: 'findings', label: 'Details', format: entry => entry.findings.map(formatSeoFinding).join('\n') },
+    ],
+    rows: pages,
+  });
+
+  return { json: { summary, pages }, html };
+}
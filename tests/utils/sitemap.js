@@ -0,0 +1,247 @@
+import zlib from 'zlib';
+import { isInternalUrl, normalizeUrl } from './crawler';
+import { renderHtmlReport } from './html-report';
+import { parseRobots, isAllowed } from './robots';
+
+// Findings that fail the check; `duplicate-url` is only reported
+export const FAILING_RULES = ['sitemap-error', 'off-site', 'not-200', 'blocked-by-robots', 'missing-canonical', 'canonical-mismatch', 'not-in-sitemap'];
+
+// Sitemap indexes are followed up to this many sitemaps in total
+export const MAX_SITEMAPS = Number(process.env.SITEMAP_MAX_FILES) || 50;
+
+/**
+ * The sitemap body as text. Gzip is detected by its magic bytes, not the .gz
+ * extension: a .gz served with Content-Encoding: gzip arrives decompressed.
+ * Throws on a corrupt gzip stream.
+ */
+function sitemapText(body) {
+  const gzipped = body.length >= 2 && body[0] === 0x1f && body[1] === 0x8b;
+  return (gzipped ? zlib.gunzipSync(body) : body).toString('utf8');
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Fetches robots.txt from the site root. A missing robots.txt (404) allows
+ * everything, so it parses as empty. Returns `{ url, status, contentType,
+ * robots }`.
+ */
+export async function fetchRobots(request, baseURL) {
+  const url = new URL('/robots.txt', baseURL).href;
+  const response = await request.get(url, { failOnStatusCode: false });
+  const status = response.status();
+  return {
+    url,
+    status,
+    contentType: response.headers()['content-type'] || '',
+    robots: parseRobots(status === 200 ? await response.text() : ''),
+  };
+}
+
+/**
+ * The sitemaps robots.txt points at, or /sitemap.xml when it lists none.
+ */
+export function sitemapLocations(robots, baseURL) {
+  return robots.sitemaps.length > 0 ? robots.sitemaps : [new URL('/sitemap.xml', baseURL).href];
+}
+
+/**
+ * Parses a sitemap into `{ type, locations }`. `type` is `index` for a
+ * `<sitemapindex>` (the locations are sitemaps), `urlset` for a `<urlset>`
+ * (the locations are pages) or null when the document is neither.
+ */
+export function parseSitemap(xml) {
+  const type = /<sitemapindex[\s>]/.test(xml) ? 'index' : /<urlset[\s>]/.test(xml) ? 'urlset' : null;
+  // Only plain <loc> elements; extension tags like <image:loc> are not pages
+  const locations = type ? [...xml.matchAll(/<loc>([\s\S]*?)<\/loc>/g)].map(match => decodeXml(match[1]).trim()) : [];
+  return { type, locations };
+}
+
+/**
+ * Reads the given sitemaps, following sitemap indexes, and collects every
+ * page URL listed. Gzipped sitemaps (`.gz`) are decompressed.
+ * Returns `{ sitemaps, urls, findings }`:
+ * - `sitemaps`: `{ url, status, type, count }` for each sitemap read
+ * - `urls`: `{ url, sitemap }` for each listed page, in sitemap order
+ * - `findings`: `sitemap-error` for a sitemap that cannot be read and
+ *   `duplicate-url` for a page listed more than once
+ */
+export async function loadSitemaps(request, sitemapUrls, { maxSitemaps = MAX_SITEMAPS } = {}) {
+  const queue = [...sitemapUrls];
+  const seen = new Set();
+  const sitemaps = [];
+  const urls = [];
+  const listed = new Set();
+  const findings = [];
+
+  while (queue.length > 0) {
+    const url = queue.shift();
+    if (seen.has(url)) continue;
+    if (seen.size >= maxSitemaps) {
+      findings.push({ rule: 'sitemap-error', url, detail: `Not read: more than ${maxSitemaps} sitemaps (SITEMAP_MAX_FILES)` });
+      continue;
+    }
+    seen.add(url);
+
+    let response;
+    try {
+      response = await request.get(url, { failOnStatusCode: false });
+    } catch (error) {
+      findings.push({ rule: 'sitemap-error', url, detail: error.message });
+      continue;
+    }
+    const status = response.status();
+    if (status !== 200) {
+      sitemaps.push({ url, status, type: null, count: 0 });
+      findings.push({ rule: 'sitemap-error', url, detail: `Returned ${status}` });
+      continue;
+    }
+
+    let xml;
+    try {
+      xml = sitemapText(await response.body());
+    } catch (error) {
+      sitemaps.push({ url, status, type: null, count: 0 });
+      findings.push({ rule: 'sitemap-error', url, detail: `Could not decompress: ${error.message}` });
+      continue;
+    }
+    const { type, locations } = parseSitemap(xml);
+    sitemaps.push({ url, status, type, count: locations.length });
+
+    if (!type) {
+      findings.push({ rule: 'sitemap-error', url, detail: 'Not a <urlset> or <sitemapindex> document' });
+    } else if (type === 'index') {
+      queue.push(...locations.map(location => new URL(location, url).href));
+    } else {
+      for (const location of locations) {
+        if (listed.has(location)) {
+          findings.push({ rule: 'duplicate-url', url: location, detail: `Listed again in ${url}` });
+          continue;
+        }
+        listed.add(location);
+        urls.push({ url: location, sitemap: url });
+      }
+    }
+  }
+
+  return { sitemaps, urls, findings };
+}
+
+/**
+ * The href of the first `<link rel="canonical">` in the HTML, or null.
+ */
+export function findCanonical(html) {
+  for (const [tag] of html.matchAll(/<link\b[^>]*>/gi)) {
+    const rel = (tag.match(/\brel\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i) || []).slice(1).find(value => value !== undefined);
+    if (!rel || !rel.toLowerCase().split(/\s+/).includes('canonical')) continue;
+    const href = (tag.match(/\bhref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i) || []).slice(1).find(value => value !== undefined);
+    return href === undefined ? null : decodeXml(href).trim();
+  }
+  return null;
+}
+
+/**
+ * Checks every URL listed in the sitemaps. Each URL must be on one of the
+ * environment's hosts, answer 200 without redirecting and have a canonical
+ * link pointing at itself. With `robots`, it must also be crawlable.
+ * Returns `{ url, sitemap, status, canonical, findings }` per URL.
+ */
+export async function checkSitemapUrls(request, urls, { baseURL, internalHosts = [], robots = null }) {
+  const results = [];
+
+  for (const { url, sitemap } of urls) {
+    const result = { url, sitemap, status: null, canonical: null, findings: [] };
+    const finding = (rule, detail) => result.findings.push({ rule, url, detail });
+    results.push(result);
+
+    if (!isInternalUrl(url, baseURL, internalHosts)) {
+      finding('off-site', `Not on ${internalHosts.join(', ') || new URL(baseURL).hostname}`);
+      continue;
+    }
+    if (robots && !isAllowed(robots, url)) {
+      finding('blocked-by-robots', 'Disallowed for User-agent: * in robots.txt');
+    }
+
+    let response;
+    try {
+      response = await request.get(url, { maxRedirects: 0, failOnStatusCode: false });
+    } catch (error) {
+      finding('not-200', error.message);
+      continue;
+    }
+    result.status = response.status();
+    if (result.status !== 200) {
+      const location = response.headers()['location'];
+      finding('not-200', `Returned ${result.status}${location ? `, redirecting to ${new URL(location, url).href}` : ''}`);
+      continue;
+    }
+
+    result.canonical = findCanonical(await response.text());
+    if (!result.canonical) {
+      finding('missing-canonical', 'No <link rel="canonical">');
+    } else if (normalizeUrl(result.canonical, url) !== normalizeUrl(url)) {
+      finding('canonical-mismatch', `Canonical is ${normalizeUrl(result.canonical, url)}`);
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Crawled pages that are not listed in the sitemap. With `robots`, pages
+ * that robots.txt blocks are not expected in the sitemap.
+ */
+export function findUnlistedPages(pageUrls, sitemapUrls, robots = null) {
+  const listed = new Set(sitemapUrls.map(url => normalizeUrl(url)));
+  return pageUrls
+    .filter(url => !listed.has(normalizeUrl(url)))
+    .filter(url => !robots || isAllowed(robots, url))
+    .map(url => ({ rule: 'not-in-sitemap', url, detail: 'Crawled, but not listed in any sitemap' }));
+}
+
+export function formatSitemapFinding(finding) {
+  return `${finding.rule} ${finding.url}: ${finding.detail}`;
+}
+
+/**
+ * JSON and HTML report with one table per sitemap, listing each URL's
+ * status, canonical and findings. Sitemap-level findings are kept in the
+ * JSON under `findings`.
+ */
+export function sitemapReport({ robotsUrl, sitemaps, results, findings = [] }) {
+  const all = [...findings, ...results.flatMap(result => result.findings)];
+  const failing = all.filter(finding => FAILING_RULES.includes(finding.rule));
+  const summary = {
+    'robots.txt': robotsUrl,
+    'Sitemaps read': sitemaps.length,
+    'URLs listed': results.length,
+    'URLs with failures': results.filter(result => result.findings.some(finding => FAILING_RULES.includes(finding.rule))).length,
+    'Failing findings': failing.length,
+    'Warnings': all.length - failing.length,
+  };
+
+  const html = renderHtmlReport({
+    title: 'Sitemap Report',
+    summary,
+    columns: [
+      { key: 'url', label: 'URL' },
+      { key: 'status', label: 'Status', format: result => result.status ?? '' },
+      { key: 'canonical', label: 'Canonical', format: result => result.canonical || '' },
+      { key: 'findings', label: 'Findings', format: result => result.findings.map(finding => `${finding.rule}: ${finding.detail}`).join('\n') },
+    ],
+    sections: sitemaps.filter(sitemap => sitemap.type !== 'index').map(sitemap => ({
+      title: `${sitemap.url} (${sitemap.count} URLs${sitemap.status !== 200 ? `, HTTP ${sitemap.status}` : ''})`,
+      rows: results.filter(result => result.sitemap === sitemap.url),
+    })),
+  });
+
+  return { json: { summary, sitemaps, findings, results }, html };
+}
@@ -0,0 +1,256 @@
+import fs from 'fs';
+import path from 'path';
+import { normalizeUrl } from './crawler';
+import { escapeHtml, renderHtmlReport } from './html-report';
+
+// What a link preview needs: the Open Graph and Twitter card tags, and an
+// og:image that social networks will display. The rules live in
+// config/social-preview.json (override with SOCIAL_PREVIEW_RULES).
+const RULES_FILE = process.env.SOCIAL_PREVIEW_RULES || path.join(__dirname, '..', '..', 'config', 'social-preview.json');
+
+// Findings that fail the check; `text-too-long`, `image-aspect-ratio` and
+// `image-size-mismatch` are only reported
+export const FAILING_RULES = [
+  'missing-tag', 'duplicate-tag', 'invalid-url', 'og-url-mismatch', 'invalid-twitter-card',
+  'image-unreachable', 'image-type', 'image-dimensions', 'image-too-large',
+];
+
+// Tags that may legitimately repeat (several images, locales)
+const REPEATABLE = ['og:image', 'og:image:width', 'og:image:height', 'og:image:alt', 'og:image:type', 'og:locale:alternate'];
+
+export function loadSocialPreviewRules(file = RULES_FILE) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Reads every `og:*` and `twitter:*` meta tag on the page, from either the
+ * `property` or the `name` attribute, plus the canonical URL. Returns
+ * `{ tags, canonical }` with `tags` mapping each tag to its list of values.
+ */
+export async function extractSocialTags(page) {
+  return page.evaluate(() => {
+    const tags = {};
+    for (const meta of document.querySelectorAll('meta[property], meta[name]')) {
+      const key = (meta.getAttribute('property') || meta.getAttribute('name')).trim().toLowerCase();
+      if (!/^(og|twitter):/.test(key)) continue;
+      (tags[key] = tags[key] || []).push((meta.getAttribute('content') || '').trim());
+    }
+    const canonical = document.querySelector('link[rel~="canonical"]');
+    return { tags, canonical: canonical ? canonical.href : null };
+  });
+}
+
+/**
+ * The value a social network shows for `key`: the first one, with Twitter
+ * falling back to the matching Open Graph tag as X/Twitter does.
+ */
+export function tagValue(tags, key) {
+  const value = (tags[key] || []).find(Boolean);
+  if (value || !key.startsWith('twitter:')) return value || null;
+  return tagValue(tags, key.replace(/^twitter:/, 'og:'));
+}
+
+function isAbsoluteHttpUrl(value) {
+  try {
+    return /^https?:$/.test(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Checks the tags of the page at `pageUrl`. og:url must match the canonical
+ * (or the page URL when there is no canonical); og:url and og:image must be
+ * absolute http(s) URLs.
+ */
+export function validateSocialTags({ tags, canonical }, pageUrl, rules = loadSocialPreviewRules()) {
+  const findings = [];
+  const finding = (rule, tag, detail) => findings.push({ rule, tag, detail });
+
+  for (const tag of rules.required) {
+    if (!(tags[tag] || []).some(Boolean)) finding('missing-tag', tag, `No ${tag}`);
+  }
+  for (const [tag, values] of Object.entries(tags)) {
+    if (values.length > 1 && !REPEATABLE.includes(tag)) finding('duplicate-tag', tag, `${tag} is set ${values.length} times`);
+  }
+
+  for (const tag of ['og:url', 'og:image', 'twitter:image']) {
+    const value = tagValue(tags, tag);
+    if (value && !isAbsoluteHttpUrl(value)) finding('invalid-url', tag, `${tag} must be an absolute http(s) URL, got "${value}"`);
+  }
+
+  const ogUrl = tagValue(tags, 'og:url');
+  if (ogUrl && isAbsoluteHttpUrl(ogUrl)) {
+    const expected = normalizeUrl(canonical || pageUrl);
+    if (normalizeUrl(ogUrl) !== expected) {
+      finding('og-url-mismatch', 'og:url', `og:url is ${ogUrl}, but the ${canonical ? 'canonical' : 'page URL'} is ${expected}`);
+    }
+  }
+
+  const card = (tags['twitter:card'] || []).find(Boolean);
+  if (card && !rules.twitterCards.includes(card)) {
+    finding('invalid-twitter-card', 'twitter:card', `"${card}" is not one of ${rules.twitterCards.join(', ')}`);
+  }
+
+  for (const [tag, max] of Object.entries(rules.maxLength)) {
+    const value = (tags[tag] || []).find(Boolean);
+    if (value && value.length > max) finding('text-too-long', tag, `${value.length} characters, over ${max} are cut off`);
+  }
+
+  return findings;
+}
+
+/**
+ * Width and height from the image header, for PNG, GIF, JPEG and WebP.
+ * Returns `{ width, height }`, or null for other formats.
+ */
+export function imageDimensions(buffer) {
+  if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504e47) {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+  if (buffer.length >= 10 && buffer.toString('ascii', 0, 4) === 'GIF8') {
+    return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  }
+  if (buffer.length >= 30 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    const chunk = buffer.toString('ascii', 12, 16);
+    if (chunk === 'VP8 ') return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+    if (chunk === 'VP8L') {
+      const bits = buffer.readUInt32LE(21);
+      return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    if (chunk === 'VP8X') return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+    return null;
+  }
+  if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    // Walk the JPEG segments to the frame header (SOF0-SOF15, except DHT, JPG and DAC)
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+      if (buffer[offset] !== 0xff) return null;
+      const marker = buffer[offset + 1];
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+  }
+  return null;
+}
+
+/**
+ * Fetches an image used in the preview and checks its content type, file
+ * size and dimensions against `rules.image`. `tag` is the tag the URL came
+ * from (og:image or twitter:image) and names it in the findings. `declared`
+ * holds the `<tag>:width/height` from the page, which should match the file.
+ * Returns `{ url, status, contentType, bytes, width, height, findings }`.
+ */
+export async function checkSocialImage(request, url, { tag = 'og:image', declared = {}, card = null } = {}, rules = loadSocialPreviewRules()) {
+  const limits = rules.image;
+  const result = { url, status: null, contentType: '', bytes: 0, width: null, height: null, findings: [] };
+  const finding = (rule, detail) => result.findings.push({ rule, tag, detail });
+
+  let response;
+  try {
+    response = await request.get(url, { failOnStatusCode: false });
+  } catch (error) {
+    finding('image-unreachable', error.message);
+    return result;
+  }
+  result.status = response.status();
+  if (result.status !== 200) {
+    finding('image-unreachable', `${url} returned ${result.status}`);
+    return result;
+  }
+
+  const body = await response.body();
+  result.contentType = (response.headers()['content-type'] || '').split(';')[0].trim();
+  result.bytes = body.length;
+  Object.assign(result, imageDimensions(body) || {});
+
+  if (!limits.types.includes(result.contentType)) {
+    finding('image-type', `${result.contentType || 'No content type'} is not one of ${limits.types.join(', ')}`);
+  }
+  if (result.bytes > limits.maxBytes) {
+    finding('image-too-large', `${Math.round(result.bytes / 1024)} KB, over the ${Math.round(limits.maxBytes / 1024)} KB limit`);
+  }
+  if (result.width === null) {
+    if (limits.types.includes(result.contentType)) finding('image-dimensions', 'Could not read the image dimensions');
+    return result;
+  }
+
+  const size = `${result.width}x${result.height}`;
+  if (result.width < limits.minWidth || result.height < limits.minHeight) {
+    finding('image-dimensions', `${size} is smaller than ${limits.minWidth}x${limits.minHeight}`);
+  } else if (result.width > limits.maxWidth || result.height > limits.maxHeight) {
+    finding('image-dimensions', `${size} is larger than ${limits.maxWidth}x${limits.maxHeight}`);
+  }
+  if (card === 'summary_large_image' && Math.abs(result.width / result.height - limits.aspectRatio) / limits.aspectRatio > limits.aspectTolerance) {
+    finding('image-aspect-ratio', `${size} is cropped in a large card, which expects ${limits.aspectRatio}:1`);
+  }
+  if ((declared.width && Number(declared.width) !== result.width) || (declared.height && Number(declared.height) !== result.height)) {
+    finding('image-size-mismatch', `${tag}:width/height say ${declared.width || '?'}x${declared.height || '?'}, the file is ${size}`);
+  }
+  return result;
+}
+
+export function formatSocialFinding(finding) {
+  return `${finding.rule} (${finding.tag}): ${finding.detail}`;
+}
+
+/**
+ * A link preview as a social network would show it, from the page's tags.
+ */
+export function previewCard({ url, tags, image }) {
+  const title = tagValue(tags, 'twitter:title') || '(no title)';
+  const description = tagValue(tags, 'twitter:description') || '';
+  const imageUrl = tagValue(tags, 'og:image');
+  const large = tagValue(tags, 'twitter:card') === 'summary_large_image';
+  const host = (() => {
+    try {
+      return new URL(tagValue(tags, 'og:url') || url).host;
+    } catch (error) {
+      return url;
+    }
+  })();
+
+  const picture = imageUrl && image && !image.findings.some(finding => ['image-unreachable', 'image-type'].includes(finding.rule))
+    ? `<img src="${escapeHtml(imageUrl)}" alt="${escapeHtml(tagValue(tags, 'og:image:alt') || '')}" style="display:block;${large ? 'width:100%;aspect-ratio:1.91/1' : 'width:120px;height:120px;flex:none'};object-fit:cover;background:#f2f5fa">`
+    : `<div style="${large ? 'aspect-ratio:1.91/1' : 'width:120px;height:120px;flex:none'};background:#f2f5fa;color:#4a4a4a;display:flex;align-items:center;justify-content:center">No usable image</div>`;
+
+  return `<div style="max-width:500px;border:1px solid #d0d7e2;border-radius:12px;overflow:hidden;margin-bottom:12px;${large ? '' : 'display:flex'}">
+${picture}
+<div style="padding:8px 12px">
+<div style="color:#4a4a4a;font-size:13px">${escapeHtml(host)}</div>
+<div style="font-weight:bold">${escapeHtml(title)}</div>
+<div style="color:#4a4a4a;font-size:14px">${escapeHtml(description)}</div>
+</div>
+</div>`;
+}
+
+/**
+ * JSON and HTML report with a preview card and a findings table per page.
+ * Each page is `{ url, tags, image, findings }`.
+ */
+export function socialPreviewReport(pages) {
+  const findings = pages.flatMap(entry => entry.findings);
+  const failing = findings.filter(finding => FAILING_RULES.includes(finding.rule));
+  const summary = {
+    'Pages checked': pages.length,
+    'Pages with failures': pages.filter(entry => entry.findings.some(finding => FAILING_RULES.includes(finding.rule))).length,
+    'Failing findings': failing.length,
+    'Warnings': findings.length - failing.length,
+  };
+
+  const html = renderHtmlReport({
+    title: 'Social Preview Report',
+    summary,
+    columns: [
+      { key: 'severity', label: 'Severity', format: finding => FAILING_RULES.includes(finding.rule) ? 'error' : 'warn' },
+      { key: 'rule', label: 'Rule' },
+      { key: 'tag', label: 'Tag' },
+      { key: 'detail', label: 'Detail' },
+    ],
+    sections: pages.map(entry => ({ title: entry.url, html: previewCard(entry), rows: entry.findings })),
+  });
+
+  return { json: { summary, pages }, html };
+}
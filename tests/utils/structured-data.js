@@ -0,0 +1,197 @@
+import fs from 'fs';
+import path from 'path';
+import { matchesPath } from './budgets';
+import { renderHtmlReport } from './html-report';
+
+// Structured data rules live in config/structured-data.json (override with
+// STRUCTURED_DATA_RULES): the required and recommended properties of each
+// schema.org type, and the types each page path must have. A page must have
+// the types of every entry whose `path` matches (`*` wildcards).
+const RULES_FILE = process.env.STRUCTURED_DATA_RULES || path.join(__dirname, '..', '..', 'config', 'structured-data.json');
+
+// Findings that fail the check; `missing-recommended` is only reported
+export const FAILING_RULES = ['parse-error', 'invalid-context', 'missing-type', 'missing-property'];
+
+export function loadStructuredDataRules(file = RULES_FILE) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Reads the raw JSON-LD blocks and the top-level microdata items from the
+ * page. Microdata items come back in JSON-LD shape: `@type` plus one key per
+ * itemprop, with nested itemscopes as nested objects.
+ */
+export async function extractStructuredData(page) {
+  return page.evaluate(() => {
+    const jsonLd = [...document.querySelectorAll('script[type="application/ld+json"]')].map(script => script.textContent);
+
+    const valueOf = (element) => {
+      const tag = element.tagName;
+      if (element.hasAttribute('itemscope')) return readItem(element);
+      if (element.hasAttribute('content')) return element.getAttribute('content');
+      if (['A', 'AREA', 'LINK'].includes(tag)) return element.href;
+      if (['AUDIO', 'EMBED', 'IFRAME', 'IMG', 'SOURCE', 'VIDEO'].includes(tag)) return element.src;
+      if (tag === 'TIME' && element.dateTime) return element.dateTime;
+      if (['DATA', 'METER'].includes(tag)) return element.value;
+      return element.textContent.trim();
+    };
+
+    const readItem = (item) => {
+      const result = {};
+      const itemtype = (item.getAttribute('itemtype') || '').trim();
+      if (itemtype) result['@type'] = itemtype.split(/\s+/);
+      for (const element of item.querySelectorAll('[itemprop]')) {
+        // Properties belong to their nearest itemscope, not to this one
+        if (element.parentElement.closest('[itemscope]') !== item) continue;
+        const value = valueOf(element);
+        for (const name of element.getAttribute('itemprop').trim().split(/\s+/)) {
+          result[name] = name in result ? [].concat(result[name], value) : value;
+        }
+      }
+      return result;
+    };
+
+    const microdata = [...document.querySelectorAll('[itemscope]:not([itemprop])')].map(readItem);
+    return { jsonLd, microdata };
+  });
+}
+
+// "https://schema.org/Organization" and "schema:Organization" -> "Organization"
+function typeName(type) {
+  return String(type).replace(/^(https?:\/\/schema\.org\/|schema:)/, '');
+}
+
+function isSchemaOrgContext(context) {
+  return [].concat(context || []).some(entry => /schema\.org/.test(typeof entry === 'string' ? entry : entry && entry['@vocab']));
+}
+
+function collectNodes(value, source, location, nodes) {
+  if (Array.isArray(value)) {
+    value.forEach((item, index) => collectNodes(item, source, `${location}[${index}]`, nodes));
+    return;
+  }
+  if (!value || typeof value !== 'object') return;
+
+  const types = [].concat(value['@type'] || []).map(typeName);
+  if (types.length > 0) nodes.push({ types, source, location, properties: value });
+  for (const [key, child] of Object.entries(value)) {
+    if (key === '@graph') collectNodes(child, source, `${location}.@graph`, nodes);
+    else if (!key.startsWith('@')) collectNodes(child, source, `${location}.${key}`, nodes);
+  }
+}
+
+/**
+ * Parses the extracted blocks into a flat list of typed nodes, including
+ * nested ones (an Organization's contactPoint, a BreadcrumbList's items).
+ * Returns `{ nodes, findings }` with `parse-error` and `invalid-context`
+ * findings for blocks that are not valid schema.org JSON-LD.
+ */
+export function parseStructuredData({ jsonLd, microdata }) {
+  const nodes = [];
+  const findings = [];
+
+  jsonLd.forEach((text, index) => {
+    const location = `json-ld[${index}]`;
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      findings.push({ rule: 'parse-error', location, detail: error.message });
+      return;
+    }
+    for (const root of [].concat(data)) {
+      if (root && typeof root === 'object' && !isSchemaOrgContext(root['@context'])) {
+        findings.push({ rule: 'invalid-context', location, detail: `@context is ${JSON.stringify(root['@context'] ?? null)}, expected https://schema.org` });
+      }
+    }
+    collectNodes(data, 'json-ld', location, nodes);
+  });
+
+  microdata.forEach((item, index) => collectNodes(item, 'microdata', `microdata[${index}]`, nodes));
+  return { nodes, findings };
+}
+
+function hasValue(value) {
+  if (Array.isArray(value)) return value.some(hasValue);
+  return value !== undefined && value !== null && value !== '';
+}
+
+/**
+ * Types the page at `pathname` must have, from every matching `pages` entry.
+ */
+export function expectedTypes(pathname, rules = loadStructuredDataRules()) {
+  const types = rules.pages.filter(entry => matchesPath(entry.path, pathname)).flatMap(entry => entry.types);
+  return [...new Set(types)];
+}
+
+/**
+ * Checks the parsed nodes of one page. Returns findings for:
+ * - `missing-type`: an expected type is not on the page
+ * - `missing-property`: a required property (or every property of an
+ *   `anyOf` group) is missing
+ * - `missing-recommended`: a recommended property is missing
+ */
+export function validateStructuredData(nodes, pathname, rules = loadStructuredDataRules()) {
+  const findings = [];
+
+  for (const type of expectedTypes(pathname, rules)) {
+    if (!nodes.some(node => node.types.includes(type))) {
+      findings.push({ rule: 'missing-type', type, detail: `No ${type} in JSON-LD or microdata` });
+    }
+  }
+
+  for (const node of nodes) {
+    for (const type of node.types.filter(name => rules.types[name])) {
+      const { required = [], anyOf = [], recommended = [] } = rules.types[type];
+      const missing = required.filter(property => !hasValue(node.properties[property]));
+      for (const group of anyOf) {
+        if (!group.some(property => hasValue(node.properties[property]))) missing.push(group.join(' or '));
+      }
+      for (const property of missing) {
+        findings.push({ rule: 'missing-property', type, location: node.location, detail: `${type} is missing ${property}` });
+      }
+      for (const property of recommended.filter(name => !hasValue(node.properties[name]))) {
+        findings.push({ rule: 'missing-recommended', type, location: node.location, detail: `${type} has no ${property}` });
+      }
+    }
+  }
+  return findings;
+}
+
+export function formatStructuredDataFinding(finding) {
+  const where = finding.location ? ` at ${finding.location}` : '';
+  return `${finding.rule}${where}: ${finding.detail}`;
+}
+
+/**
+ * JSON and HTML report with one table of findings per page. Each page is
+ * `{ url, types, findings }`, where `types` lists the types found.
+ */
+export function structuredDataReport(pages) {
+  const findings = pages.flatMap(entry => entry.findings);
+  const failing = findings.filter(finding => FAILING_RULES.includes(finding.rule));
+  const summary = {
+    'Pages checked': pages.length,
+    'Pages with failures': pages.filter(entry => entry.findings.some(finding => FAILING_RULES.includes(finding.rule))).length,
+    'Failing findings': failing.length,
+    'Warnings': findings.length - failing.length,
+  };
+
+  const html = renderHtmlReport({
+    title: 'Structured Data Report',
+    summary,
+    columns: [
+      { key: 'severity', label: 'Severity', format: finding => FAILING_RULES.includes(finding.rule) ? 'error' : 'warn' },
+      { key: 'rule', label: 'Rule' },
+      { key: 'type', label: 'Type', format: finding => finding.type || '' },
+      { key: 'location', label: 'Location', format: finding => finding.location || '' },
+      { key: 'detail', label: 'Detail' },
+    ],
+    sections: pages.map(entry => ({
+      title: `${entry.url}: ${entry.types.length > 0 ? entry.types.join(', ') : 'no structured data'}`,
+      rows: entry.findings,
+    })),
+  });
+
+  return { json: { summary, pages }, html };
+}
@@ -0,0 +1,53 @@
+// Named network and CPU throttling profiles, applied through the Chrome
+// DevTools Protocol. Network values follow the Chrome DevTools presets
+// (throughput in bytes per second, latency in milliseconds).
+
+export const THROTTLING_PROFILES = {
+  'Slow 3G': {
+    network: { latency: 2000, downloadThroughput: 500 * 1000 / 8 * 0.8, uploadThroughput: 500 * 1000 / 8 * 0.8 },
+  },
+  'Fast 3G': {
+    network: { latency: 562.5, downloadThroughput: 1.6 * 1000 * 1000 / 8 * 0.9, uploadThroughput: 750 * 1000 / 8 * 0.9 },
+  },
+  '4G': {
+    network: { latency: 165, downloadThroughput: 9 * 1000 * 1000 / 8 * 0.9, uploadThroughput: 1.5 * 1000 * 1000 / 8 * 0.9 },
+  },
+  'CPU 4x': {
+    cpu: 4,
+  },
+  'CPU 6x': {
+    cpu: 6,
+  },
+};
+
+/**
+ * Combines one or more profile names, e.g. ['Fast 3G', 'CPU 6x'], into a
+ * single `{ network, cpu }` setting.
+ */
+export function resolveThrottling(names) {
+  return [].concat(names).reduce((settings, name) => {
+    const profile = THROTTLING_PROFILES[name];
+    if (!profile) {
+      throw new Error(`Unknown throttling profile "${name}". Available: ${Object.keys(THROTTLING_PROFILES).join(', ')}`);
+    }
+    return { ...settings, ...profile };
+  }, {});
+}
+
+/**
+ * Throttles the page's network and CPU. Chromium only: CDP sessions are not
+ * available in Firefox or WebKit.
+ */
+export async function applyThrottling(page, names) {
+  const { network, cpu } = resolveThrottling(names);
+  const session = await page.context().newCDPSession(page);
+
+  if (network) {
+    await session.send('Network.enable');
+    await session.send('Network.emulateNetworkConditions', { offline: false, ...network });
+  }
+  if (cpu) {
+    await session.send('Emulation.setCPUThrottlingRate', { rate: cpu });
+  }
+  return session;
+}
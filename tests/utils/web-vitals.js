@@ -0,0 +1,153 @@
+// Core Web Vitals collected in the page through PerformanceObserver and
+// Navigation Timing. Browsers that do not expose an entry type report null.
+// Limits for each metric come from config/budgets.json (see budgets.js).
+
+export const VITALS_LABELS = {
+  lcp: 'LCP',
+  fcp: 'FCP',
+  ttfb: 'TTFB',
+  cls: 'CLS',
+  inp: 'INP',
+  tbt: 'TBT',
+};
+
+export function formatVital(metric, value) {
+  if (value === null || value === undefined) return 'n/a';
+  return metric === 'cls' ? value.toFixed(3) : `${Math.round(value)}ms`;
+}
+
+/**
+ * Runs in the page before any site script. Keeps the latest value of each
+ * metric on `window.__webVitals`.
+ */
+function observeVitals() {
+  const vitals = { lcp: null, fcp: null, cls: null, inp: null, longTasks: [], supported: {} };
+  window.__webVitals = vitals;
+
+  const observe = (type, callback, options = {}) => {
+    const supported = (PerformanceObserver.supportedEntryTypes || []).includes(type);
+    if (supported) {
+      new PerformanceObserver(list => list.getEntries().forEach(callback)).observe({ type, buffered: true, ...options });
+    }
+    vitals.supported[type] = supported;
+    return supported;
+  };
+
+  observe('paint', (entry) => {
+    if (entry.name === 'first-contentful-paint') vitals.fcp = entry.startTime;
+  });
+
+  observe('largest-contentful-paint', (entry) => {
+    vitals.lcp = entry.startTime;
+  });
+
+  // CLS is the largest session window: shifts less than 1s apart, capped at 5s
+  let sessionValue = 0;
+  let sessionStart = 0;
+  let lastShift = 0;
+  if (observe('layout-shift', (entry) => {
+    if (entry.hadRecentInput) return;
+    if (sessionValue && (entry.startTime - lastShift > 1000 || entry.startTime - sessionStart > 5000)) {
+      sessionValue = 0;
+    }
+    if (!sessionValue) sessionStart = entry.startTime;
+    sessionValue += entry.value;
+    lastShift = entry.startTime;
+    vitals.cls = Math.max(vitals.cls, sessionValue);
+  })) {
+    vitals.cls = 0;
+  }
+
+  // INP is the slowest interaction; entries under 16ms are not reported, so 0 until then
+  const interactions = new Map();
+  if (observe('event', (entry) => {
+    if (!entry.interactionId) return;
+    interactions.set(entry.interactionId, Math.max(interactions.get(entry.interactionId) || 0, entry.duration));
+    vitals.inp = Math.max(...interactions.values());
+  }, { durationThreshold: 16 })) {
+    vitals.inp = 0;
+  }
+
+  observe('longtask', (entry) => {
+    vitals.longTasks.push({ start: entry.startTime, duration: entry.duration });
+  });
+}
+
+/**
+ * Starts collecting Web Vitals for every document the page loads from now on.
+ * Call before `page.goto`.
+ */
+export async function observeWebVitals(page) {
+  await page.addInitScript(observeVitals);
+}
+
+/**
+ * Clicks the page heading (or the page itself) so INP has an interaction to measure.
+ */
+export async function interactWithPage(page) {
+  const heading = page.locator('h1').first();
+  if (await heading.count() > 0 && await heading.isVisible()) {
+    await heading.click();
+  } else {
+    await page.locator('body').click({ position: { x: 1, y: 1 } });
+  }
+}
+
+/**
+ * Reads the current Web Vitals from the page. TBT is the blocking time of
+ * long tasks after FCP; TTFB comes from Navigation Timing.
+ */
+export async function collectWebVitals(page) {
+  return page.evaluate(async () => {
+    // Let pending observer callbacks run
+    await new Promise(resolve => requestAnimationFrame(() => setTimeout(resolve, 0)));
+
+    const vitals = window.__webVitals;
+    const [navigation] = performance.getEntriesByType('navigation');
+    const fcp = vitals ? vitals.fcp : null;
+
+    let tbt = null;
+    if (vitals && vitals.supported.longtask && fcp !== null) {
+      tbt = vitals.longTasks
+        .filter(task => task.start >= fcp)
+        .reduce((total, task) => total + Math.max(0, task.duration - 50), 0);
+    }
+
+    return {
+      lcp: vitals ? vitals.lcp : null,
+      fcp,
+      ttfb: navigation ? navigation.responseStart : null,
+      cls: vitals ? vitals.cls : null,
+      inp: vitals ? vitals.inp : null,
+      tbt,
+    };
+  });
+}
+
+/**
+ * Time from navigation start to the end of the load event, from Navigation Timing.
+ */
+export async function collectLoadTime(page) {
+  const navigationEnd = await page.waitForFunction(() => {
+    const [navigation] = performance.getEntriesByType('navigation');
+    return navigation && navigation.loadEventEnd > 0 ? navigation.loadEventEnd : null;
+  });
+  return navigationEnd.jsonValue();
+}
+
+/**
+ * Adds one annotation per metric to the test and attaches the raw values.
+ */
+export async function recordWebVitals(testInfo, pagePath, vitals) {
+  for (const [metric, value] of Object.entries(vitals)) {
+    const description = value === null
+      ? `${pagePath}: not supported in ${testInfo.project.name}`
+      : `${pagePath}: ${formatVital(metric, value)}`;
+    testInfo.annotations.push({ type: `web-vitals:${VITALS_LABELS[metric]}`, description });
+  }
+
+  await testInfo.attach('web-vitals.json', {
+    body: JSON.stringify({ page: pagePath, project: testInfo.project.name, vitals }, null, 2),
+    contentType: 'application/json',
+  });
+}
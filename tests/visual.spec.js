@@ -0,0 +1,90 @@
+import { test, expect } from './fixtures';
+import { hasBaseline } from './utils/baselines';
+
+// Screenshot baselines live in tests/__screenshots__/<project>/visual.spec.js/.
+// Update them with `npm run test:visual:update` after an intended change.
+// No baselines are committed: create them with that command on the machine and
+// browsers the comparisons run on. Until then the tests fail on CI.
+
+const BREAKPOINTS = [
+  { name: 'mobile', width: 320, height: 568 },
+  { name: 'tablet', width: 768, height: 1024 },
+  { name: 'desktop', width: 1024, height: 768 },
+  { name: 'large-desktop', width: 1920, height: 1080 }
+];
+
+const PAGES = [
+  { name: 'home', path: '/' },
+  { name: 'contact', path: '/contact' }
+];
+
+// Regions whose content changes between runs; add `data-visual-mask` to mask anything else
+const DYNAMIC_REGIONS = [
+  '[data-visual-mask]',
+  'iframe',
+  'video',
+  'time',
+  '[class*="carousel" i]',
+  '[class*="slider" i]'
+];
+
+function dynamicRegions(page) {
+  return DYNAMIC_REGIONS.map(selector => page.locator(selector));
+}
+
+function expectBaselines(testInfo, names) {
+  const missing = names.filter(name => !hasBaseline(testInfo, name, 'screenshot'));
+  expect(missing, `No screenshot baselines for ${testInfo.project.name}: create them with npm run test:visual:update and commit them`).toEqual([]);
+}
+
+async function waitForStablePage(page) {
+  await page.waitForLoadState('load');
+  await page.evaluate(() => document.fonts.ready);
+}
+
+test.describe('Qualtiva Solutions - Visual Regression', () => {
+  for (const breakpoint of BREAKPOINTS) {
+    test.describe(`${breakpoint.name} (${breakpoint.width}x${breakpoint.height})`, () => {
+      test.use({ viewport: { width: breakpoint.width, height: breakpoint.height } });
+
+      for (const { name, path } of PAGES) {
+        test(`${name} page should match the baseline`, async ({ page }, testInfo) => {
+          const baseline = `${name}-${breakpoint.name}.png`;
+          expectBaselines(testInfo, [baseline]);
+
+          await page.goto(path);
+          await waitForStablePage(page);
+
+          await expect(page).toHaveScreenshot(baseline, {
+            fullPage: true,
+            mask: dynamicRegions(page)
+          });
+        });
+      }
+
+      test('home page components should match the baseline', async ({ page, homePage, navigation, footer }, testInfo) => {
+        await homePage.goto();
+        await waitForStablePage(page);
+
+        const components = {
+          header: navigation.container,
+          hero: homePage.hero,
+          footer: footer.container
+        };
+
+        const present = [];
+        for (const [name, locator] of Object.entries(components)) {
+          if (await locator.count() > 0) present.push([`${name}-${breakpoint.name}.png`, locator]);
+        }
+        expectBaselines(testInfo, present.map(([baseline]) => baseline));
+
+        // Soft assertions so every changed component shows up in the report
+        for (const [baseline, locator] of present) {
+          await expect.soft(locator).toHaveScreenshot(baseline, {
+            mask: dynamicRegions(page)
+          });
+        }
+      });
+    });
+  }
+});
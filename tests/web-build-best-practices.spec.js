@@ -1,4 +1,10 @@
-import { test, expect } from '@playwright/test';
+import { test, expect } from './fixtures';
+import { collectLoadTime } from './utils/web-vitals';
+import { formatBudgetResult, expectLoadWithinBudget } from './utils/budgets';
+import { captureSources, fetchSourceMaps, scanSources, formatSecretFinding, secretReport } from './utils/secret-scanner';
+import { attachReport } from './utils/html-report';
+import { loadSecurityPolicy, checkSecurityHeaders, analyzeCsp, partitionFindings, formatFinding, recordSecurityFindings } from './utils/security-headers';
+import { formatIssue } from './utils/page-health';
 
 test.describe('Qualtiva Solutions - Web Build Best Practices', () => {
   test.beforeEach(async ({ page }) => {
@@ -33,123 +39,88 @@ test.describe('Qualtiva Solutions - Web Build Best Practices', () => {
         expect(await httpEquiv.count()).toBeGreaterThan(0);
       }
 
-      // Check Open Graph tags
-      const ogTitle = page.locator('meta[property="og:title"]');
-      const ogDescription = page.locator('meta[property="og:description"]');
-      const ogUrl = page.locator('meta[property="og:url"]');
-      
-      if (await ogTitle.count() > 0) {
-        await expect(ogTitle).toBeVisible();
-      }
-      if (await ogDescription.count() > 0) {
-        await expect(ogDescription).toBeVisible();
-      }
-      if (await ogUrl.count() > 0) {
-        await expect(ogUrl).toBeVisible();
-      }
-    });
-
-    test('should have proper heading structure', async ({ page }) => {
-      // Check for single h1
-      const h1Elements = page.locator('h1');
-      const h1Count = await h1Elements.count();
-      expect(h1Count).toBe(1);
-
-      // Check heading hierarchy (no skipped levels)
-      const headings = page.locator('h1, h2, h3, h4, h5, h6');
-      const headingCount = await headings.count();
-      
-      if (headingCount > 1) {
-        for (let i = 0; i < headingCount - 1; i++) {
-          const currentHeading = headings.nth(i);
-          const nextHeading = headings.nth(i + 1);
-          
-          const currentLevel = await currentHeading.evaluate(el => parseInt(el.tagName.charAt(1)));
-          const nextLevel = await nextHeading.evaluate(el => parseInt(el.tagName.charAt(1)));
-          
-          // Next heading should not skip more than one level
-          expect(nextLevel - currentLevel).toBeLessThanOrEqual(1);
+      // Check Open Graph tags have content (meta tags are never visible;
+      // social-preview.spec.js validates them in full)
+      for (const property of ['og:title', 'og:description', 'og:url']) {
+        const tag = page.locator(`meta[property="${property}"]`);
+        if (await tag.count() > 0) {
+          await expect(tag.first()).toHaveAttribute('content', /\S/);
         }
       }
     });
 
-    test('should have proper canonical URL', async ({ page }) => {
+    test('should have proper canonical URL', async ({ page, environment }) => {
       const canonical = page.locator('link[rel="canonical"]');
       if (await canonical.count() > 0) {
         const href = await canonical.getAttribute('href');
         expect(href).toBeTruthy();
-        expect(href).toMatch(/analytiqa\.cloud|qualtiva\.solutions/);
+        expect(new URL(href, page.url()).host).toBe(environment.canonicalHost);
       }
     });
   });
 
   test.describe('Security Best Practices', () => {
-    test('should have proper security headers', async ({ page }) => {
+    test('should have proper security headers', async ({ page }, testInfo) => {
       const response = await page.goto('/');
-      const headers = response.headers();
+      const policy = loadSecurityPolicy();
+      const findings = checkSecurityHeaders(response.headers(), policy);
+      const { errors, warnings } = partitionFindings(findings);
 
-      // Check for security headers
-      const securityHeaders = [
-        'x-content-type-options',
-        'x-frame-options',
-        'x-xss-protection',
-        'referrer-policy'
-      ];
+      await recordSecurityFindings(testInfo, 'security-headers.json', { url: page.url(), policy, findings });
+      warnings.forEach(finding => console.log(`⚠️  ${formatFinding(finding)}`));
+      console.log(`📊 Security headers (${policy.environment} policy): ${errors.length} errors, ${warnings.length} warnings`);
 
-      for (const header of securityHeaders) {
-        if (headers[header]) {
-          console.log(`✅ ${header}: ${headers[header]}`);
-        } else {
-          console.log(`⚠️  Missing security header: ${header}`);
-        }
-      }
+      expect(errors.map(formatFinding), 'Security headers that break the policy').toEqual([]);
 
       // Check for HTTPS
-      expect(page.url()).toMatch(/^https:/);
+      if (policy.requireHttps) {
+        expect(page.url()).toMatch(/^https:/);
+      }
     });
 
-    test('should not expose sensitive information in source', async ({ page }) => {
-      const source = await page.content();
-      
-      // Check for common sensitive patterns
-      const sensitivePatterns = [
-        /api[_-]?key/i,
-        /password/i,
-        /secret/i,
-        /token/i,
-        /private[_-]?key/i
-      ];
+    test('should not expose sensitive information in source', async ({ page, request }, testInfo) => {
+      const capture = captureSources(page);
+      await page.goto('/');
+      await page.waitForLoadState('load');
 
-      for (const pattern of sensitivePatterns) {
-        const matches = source.match(pattern);
-        if (matches) {
-          console.log(`⚠️  Potential sensitive information found: ${matches[0]}`);
-        }
-      }
+      const sources = await capture.settle();
+      sources.push(...await fetchSourceMaps(request, sources));
+      const result = scanSources(sources);
+
+      await attachReport(testInfo, 'secret-scan', secretReport(result));
+      console.log(`📊 Secret scan: ${result.scanned.length} responses, ${result.findings.length} findings, ${result.allowed.length} allowlisted`);
+
+      expect(result.findings.map(formatSecretFinding), 'Possible secrets in page resources').toEqual([]);
     });
 
-    test('should have proper CSP headers', async ({ page }) => {
+    test('should have proper CSP headers', async ({ page }, testInfo) => {
       const response = await page.goto('/');
-      const headers = response.headers();
-      
-      if (headers['content-security-policy']) {
-        console.log(`✅ CSP header found: ${headers['content-security-policy']}`);
-      } else {
-        console.log('⚠️  Content Security Policy header not found');
-      }
+      const policy = loadSecurityPolicy();
+      const csp = response.headers()['content-security-policy'];
+
+      // A missing header is reported by the security headers test
+      test.skip(!csp, 'Content Security Policy header not found');
+
+      const findings = analyzeCsp(csp, policy.csp);
+      const { errors, warnings } = partitionFindings(findings);
+
+      await recordSecurityFindings(testInfo, 'csp.json', { url: page.url(), policy, findings });
+      warnings.forEach(finding => console.log(`⚠️  ${formatFinding(finding)}`));
+      console.log(`📊 CSP (${policy.environment} policy): ${errors.length} errors, ${warnings.length} warnings`);
+
+      expect(errors.map(formatFinding), `CSP problems in: ${csp}`).toEqual([]);
     });
   });
 
   test.describe('Performance Best Practices', () => {
-    test('should load within performance budget', async ({ page }) => {
-      const startTime = Date.now();
+    test('should load within performance budget', async ({ page }, testInfo) => {
       await page.goto('/');
       await page.waitForLoadState('load');
-      const loadTime = Date.now() - startTime;
+      const loadTime = await collectLoadTime(page);
       
-      // Performance budget: 3 seconds for initial load
-      expect(loadTime).toBeLessThan(3000);
-      console.log(`📊 Page load time: ${loadTime}ms`);
+      // Load budget for this page and project from config/budgets.json
+      const result = await expectLoadWithinBudget(testInfo, '/', loadTime);
+      console.log(`📊 ${formatBudgetResult(result)}`);
     });
 
     test('should have optimized images', async ({ page }) => {
@@ -174,31 +145,16 @@ test.describe('Qualtiva Solutions - Web Build Best Practices', () => {
       }
     });
 
-    test('should have minimal JavaScript errors', async ({ page }) => {
-      const consoleErrors = [];
-      
-      page.on('console', (msg) => {
-        if (msg.type() === 'error') {
-          consoleErrors.push(msg.text());
-        }
-      });
-      
+    test('should have no JavaScript errors', async ({ page, pageHealth }) => {
       await page.goto('/');
       await page.waitForLoadState('load');
       
-      // Filter out common non-critical errors
-      const criticalErrors = consoleErrors.filter(error => 
-        !error.includes('favicon') && 
-        !error.includes('analytics') &&
-        !error.includes('third-party') &&
-        !error.includes('adblock') &&
-        !error.includes('extension')
-      );
-      
-      expect(criticalErrors.length).toBeLessThan(5);
-      if (criticalErrors.length > 0) {
-        console.log('⚠️  JavaScript errors found:', criticalErrors);
+      // Known noise is allowlisted in config/page-health-allowlist.json
+      const errors = pageHealth.unexpected('console-error', 'page-error').map(formatIssue);
+      if (errors.length > 0) {
+        console.log('⚠️  JavaScript errors found:', errors);
       }
+      expect(errors).toEqual([]);
     });
 
     test('should have proper resource loading', async ({ page }) => {
@@ -214,6 +170,7 @@ test.describe('Qualtiva Solutions - Web Build Best Practices', () => {
     });
   });
 
+  // The heading outline and ARIA landmarks are checked in aria-snapshot.spec.js
   test.describe('Modern Web Standards', () => {
     test('should use semantic HTML elements', async ({ page }) => {
       const semanticElements = [
@@ -229,24 +186,6 @@ test.describe('Qualtiva Solutions - Web Build Best Practices', () => {
       }
     });
 
-    test('should have proper ARIA attributes', async ({ page }) => {
-      // Check for proper ARIA labels
-      const elementsWithAria = page.locator('[aria-label], [aria-labelledby], [aria-describedby]');
-      const ariaCount = await elementsWithAria.count();
-      
-      if (ariaCount > 0) {
-        console.log(`✅ ${ariaCount} elements with ARIA attributes found`);
-      }
-      
-      // Check for proper roles
-      const elementsWithRoles = page.locator('[role]');
-      const roleCount = await elementsWithRoles.count();
-      
-      if (roleCount > 0) {
-        console.log(`✅ ${roleCount} elements with ARIA roles found`);
-      }
-    });
-
     test('should support modern CSS features', async ({ page }) => {
       // Check for CSS Grid or Flexbox usage
       const hasGrid = await page.evaluate(() => {